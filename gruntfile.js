@@ -6,7 +6,7 @@ module.exports = function (grunt) {
             output: {
                 options: {
                     "no-gfm": true,
-                    "partial": "docs/body.hbs"
+                    "partial": ["docs/body.hbs", "docs/all-docs.hbs"]
                 },
                 files: files
             }
@@ -29,10 +29,30 @@ var files = [
         src: "lib/adapter.js",
         dest: codePath + "adapter.md"
     },
+    {
+        src: "lib/timeout.js",
+        dest: codePath + "timeout.md"
+    },
     {
         src: "lib/ext/batch.js",
         dest: codePath + "batch.md"
     },
+    {
+        src: "lib/ext/batch/props.js",
+        dest: codePath + "props.md"
+    },
+    {
+        src: "lib/ext/batch/settle.js",
+        dest: codePath + "settle.md"
+    },
+    {
+        src: "lib/ext/batch/each.js",
+        dest: codePath + "each.md"
+    },
+    {
+        src: "lib/ext/batch/quorum.js",
+        dest: codePath + "quorum.md"
+    },
     {
         src: "lib/ext/page.js",
         dest: codePath + "page.md"
@@ -41,6 +61,14 @@ var files = [
         src: "lib/ext/sequence.js",
         dest: codePath + "sequence.md"
     },
+    {
+        src: "lib/ext/start.js",
+        dest: codePath + "start.md"
+    },
+    {
+        src: "lib/ext/iterate.js",
+        dest: codePath + "iterate.md"
+    },
     {
         src: "lib/ext/stream/read.js",
         dest: codePath + "stream/read.md"
@@ -55,9 +83,20 @@ var links = {
     "stream": "https://github.com/vitaly-t/spex/blob/master/docs/concept/stream.md",
     "module": "module.md",
     "batch": "batch.md",
+    "batch.props": "props.md",
+    "batch.settle": "settle.md",
+    "batch.each": "each.md",
+    "batch.any": "quorum.md#batch.any",
+    "batch.some": "quorum.md#batch.some",
+    "batch.majority": "quorum.md#batch.majority",
     "page": "page.md",
+    "page.start": "start.md#page.start",
+    "page.iterate": "iterate.md#page.iterate",
     "sequence": "sequence.md",
+    "sequence.start": "start.md#sequence.start",
+    "sequence.iterate": "iterate.md#sequence.iterate",
     "PromiseAdapter": "adapter.md",
+    "TimeoutError": "timeout.md",
     "client-side": "https://github.com/vitaly-t/spex/blob/master/docs/client.md",
     "Promise": "https://github.com/then/promise",
     "Bluebird": "https://github.com/petkaantonov/bluebird",
@@ -77,7 +116,7 @@ function fixLinks() {
     var done = this.async(), count = 0;
     files.forEach(function (f) {
         fs.readFile(f.dest, "utf-8", function (_, data) {
-            data = data.replace(/\$\[[a-z\s\/\+-]+\]/gi, function (name) {
+            data = data.replace(/\$\[[a-z\s\/\+\.-]+\]/gi, function (name) {
                 var sln = name.replace(/\$\[|\]/g, ''); // stripped link name;
                 if (sln in links) {
                     return "<a href=\"" + links[sln] + "\">" + sln + "</a>"
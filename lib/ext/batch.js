@@ -2,10 +2,10 @@
 
 /**
  * @method batch
- * @summary Settles a predefined array of $[mixed values].
+ * @summary Settles an array or iterable of $[mixed values].
  * @description
  * **Alternative Syntax:**
- * `batch(values, {cb})` &#8658; `Promise`
+ * `batch(values, {cb, concurrency, failFast, timeout, deadline, retry, quorum, ordered, settle})` &#8658; `Promise`
  *
  * Settles (resolves or rejects) every $[mixed value] in the input array, and resolves
  * with an array of results, if all values have been resolved, or else rejects.
@@ -16,21 +16,32 @@
  *
  * <img src="../images/batch.png" width="836px" height="210px" alt="batch">
  *
- * @param {Array} values
+ * @param {Array|Iterable|AsyncIterable} values
  * Array of $[mixed values], to be resolved asynchronously, in no particular order.
  *
- * Passing in anything other than an array will throw `Batch requires an array of values.`
+ * It can also be any sync or async iterable (or iterator), such as a `Set` or a generator object,
+ * in which case the values are pulled from it as they become available, and indexed in the order
+ * of iteration. With option `concurrency`, no more values are pulled while a function/generator value
+ * is waiting for its turn. The iteration ends early when the method settles before it, by calling
+ * `return()` on the iterator, if supported.
+ *
+ * If the iterator throws an error or its async `next()` rejects, no more values are pulled, and
+ * the error is reported as one extra failed value after those already pulled.
+ *
+ * Passing in anything else will throw `Batch requires an array or an iterable of values.`
  *
  * @param {Function|generator} [cb]
  * Optional callback (or generator) to receive the result for each settled value.
  *
  * Parameters:
- *  - `index` = index of the value in the source array
+ *  - `index` = index of the value in the input array or iteration
  *  - `success` - indicates whether the value was resolved (`true`), or rejected (`false`)
  *  - `result` = resolved data, if `success`=`true`, or else the rejection reason
  *  - `delay` = number of milliseconds since the last call (`undefined` when `index=0`)
+ *  - `attempts` = number of attempts made to resolve the value (see parameter `retry`)
  *
- * The function is called with the same `this` context as the calling method.
+ * The function is called with the same `this` context as the calling method, in the order in which
+ * the values settle, unless option `ordered` is set.
  *
  * It can optionally return a promise to indicate that notifications are handled asynchronously.
  * And if the returned promise resolves, it signals a successful handling, while any resolved
@@ -42,11 +53,104 @@
  *  - `result` = the rejection reason or the error thrown by the notification callback
  *  - `origin` = the original data passed into the callback, as object `{success, result}`
  *
+ * @param {Number} [concurrency=0]
+ * Limits the number of function/generator values that are being resolved at the same time.
+ *
+ * When the value is greater than 0, such values are invoked in the order of the input array,
+ * with the next one invoked only after one of those in progress has settled. All other values
+ * (promises and simple values) are settled immediately, and do not count against the limit.
+ *
+ * When `concurrency` isn't specified (default), every value in the array is invoked at once.
+ *
+ * @param {Boolean} [failFast=false]
+ * Makes the method reject as soon as one of the values fails, or the notification callback
+ * fails, without waiting for the rest of the values to settle.
+ *
+ * Values that have not settled by then are reported in the rejection array as
+ * `{success: undefined, pending: true}`, and any results they produce later are ignored,
+ * including notifications. Function/generator values queued by option `concurrency`
+ * that have not been invoked yet are never invoked.
+ *
+ * @param {Number} [timeout=0]
+ * Maximum number of milliseconds for each value to settle, counted from the moment
+ * the value starts resolving. When greater than 0, a value that fails to settle in time
+ * is reported as rejected with a $[TimeoutError], with `message` = `Value resolution timed out.`,
+ * plus the value's `index` and the `duration` it took.
+ *
+ * Any result that the value produces after the timeout is ignored.
+ *
+ * @param {Number} [deadline=0]
+ * Maximum number of milliseconds for the entire batch to settle. When greater than 0, and
+ * the deadline is reached, the method rejects at once, reporting every value that hasn't settled,
+ * including those not yet invoked due to option `concurrency`, as rejected with a $[TimeoutError],
+ * with `message` = `Batch deadline has been reached.`, plus the value's `index` and the `duration`
+ * of the batch.
+ *
+ * @param {Number|Object} [retry]
+ * Retry policy for function/generator values that reject or throw an error, which are then
+ * invoked again, after an exponentially growing delay. Other values cannot be retried.
+ *
+ * It is either the number of retries, or an object `{retries, minDelay, maxDelay, factor, jitter, shouldRetry}`:
+ *  - `retries` = maximum number of retries for each value
+ *  - `minDelay` = number of milliseconds to wait before the first retry (default = 100)
+ *  - `maxDelay` = maximum number of milliseconds to wait before any retry (default = 10000)
+ *  - `factor` = multiplier for the delay after each retry (default = 2)
+ *  - `jitter` = fraction of the delay, from 0 to 1, by which it is reduced randomly (default = 0)
+ *  - `shouldRetry` = optional function `(error, index, attempt)` that returns a truthy value to retry
+ *  the value, called with the same `this` context as the calling method. If it throws an error,
+ *  the value fails with that error.
+ *
+ * A value is reported as rejected only after all its retries have failed. Option `timeout` applies
+ * to the value as a whole, including all the retries.
+ *
+ * When `retry` is used, every entry of the rejection array for a settled value includes property
+ * `attempts` - the number of attempts made to resolve the value.
+ *
+ * @param {Number} [quorum=0]
+ * Number of values that must resolve successfully for the method to resolve. When greater than 0,
+ * the method resolves as soon as the quorum has been reached, without waiting for the rest of the values,
+ * same as with option `failFast`, and rejects as soon as the quorum can no longer be reached.
+ *
+ * A value counts towards the quorum once it has resolved, and its notification callback has not failed.
+ *
+ * The method then resolves with an array of objects `{index, result}`, one for each value that resolved,
+ * in the order of their resolution, while the rejection array is the same as without `quorum`.
+ *
+ * For an input array, a quorum greater than the number of values will throw `Invalid quorum size.`
+ * For an iterable that turns out to have fewer values than the quorum, the method rejects, with `getErrors()`
+ * ending in a `TypeError` with the same message.
+ *
+ * See also: $[batch.any], $[batch.some] and $[batch.majority].
+ *
+ * @param {Boolean} [ordered=false]
+ * Makes the notification callback `cb` be called strictly in the index order, as opposed to the order
+ * in which the values settle, by buffering the results of values that settle ahead of their turn.
+ *
+ * Each notification is then sent only after the previous one has been handled, i.e. after the promise
+ * it returned has settled, and its `delay` parameter is the time since the previous notification.
+ * Failed notifications are reported the same way, with `origin`.
+ *
+ * A failed value is still reported by the method as soon as it settles, when using option `failFast` or `quorum`,
+ * without waiting for the notifications in front of it.
+ *
+ * @param {Boolean} [settle=false]
+ * Makes the method always resolve, with the same array of objects `{success, result, [origin]}`
+ * that it would otherwise reject with, including function `getErrors`, and with the following
+ * read-only properties added:
+ *  - `succeeded` = number of values resolved
+ *  - `failed` = number of values failed
+ *  - `duration` = number of milliseconds spent settling the values
+ *
+ * The array is reported this way also when every value resolves, or when a `quorum` is reached.
+ *
+ * See also: $[batch.settle].
+ *
  * @returns {Promise}
  * Result for the entire batch, which resolves when every value in the input array has been resolved,
  * and rejects when:
  *  - one or more values rejected or threw an error while being resolved as a $[mixed value]
  *  - notification callback returned a rejected promise or threw an error
+ *  - a value failed to settle within the `timeout`, or the `deadline` has been reached
  *
  * The method resolves with an array of individual resolved results, the same as `promise.all`.
  * In addition, the array is extended with read-only property `duration` - number of milliseconds
@@ -58,106 +162,382 @@
  *  - `origin` - set only when failed as a result of an unsuccessful call into the notification callback
  *  (see documentation for parameter `cb`)
  *
+ * With option `failFast`, values that have not settled are reported as `{success: undefined, pending: true}`.
+ *
  * In addition, the rejection array is extended with function `getErrors`, which returns the list of just
  * errors, with support for nested batch results. Calling `getErrors()[0]`, for example, will get the same
  * result as the rejection reason that `promise.all` would provide.
  *
  * In all cases, the output array is always the same size as the input one, this way providing index mapping
- * between the input values and the results.
+ * between the input values and the results. For an iterable input, it is the size of the iteration, or for
+ * an early settlement - the number of values pulled by then.
  */
-function batch(values, cb) {
-    if (!Array.isArray(values)) {
-        throw new TypeError("Batch requires an array of values.");
+function batch(values, cb, concurrency, failFast, timeout, deadline, retry, quorum, ordered, settle) {
+    var list = Array.isArray(values), iterator = list ? null : $utils.getIterator(values);
+    if (!list && !iterator) {
+        throw new TypeError("Batch requires an array or an iterable of values.");
     }
-    if (!values.length) {
+    quorum = (quorum > 0) ? parseInt(quorum) : 0;
+    if (list && quorum > values.length) {
+        throw new TypeError("Invalid quorum size.");
+    }
+    if (list && !values.length && !quorum) {
         var empty = [];
+        if (settle) {
+            $utils.extend(empty, 'getErrors', function () {
+                return [];
+            });
+            $utils.extend(empty, 'succeeded', 0);
+            $utils.extend(empty, 'failed', 0);
+        }
         $utils.extend(empty, 'duration', 0);
         return $p.resolve(empty);
     }
     cb = $utils.wrap(cb);
+    concurrency = (concurrency > 0) ? parseInt(concurrency) : 0;
+    timeout = (timeout > 0) ? parseInt(timeout) : 0;
+    deadline = (deadline > 0) ? parseInt(deadline) : 0;
+    retry = $utils.parseRetry(retry);
+    ordered = !!(ordered && cb);
     var self = this, start = Date.now();
     return $p(function (resolve, reject) {
-        var cbTime, errors = [], sorted = false, remaining = values.length,
-            result = new Array(remaining);
-        values.forEach(function (item, i) {
-            $utils.resolve.call(self, item, null, function (data) {
-                result[i] = data;
-                step(i, true, data);
-            }, function (reason) {
-                result[i] = {success: false, result: reason};
-                errors.push(i);
-                step(i, false, reason);
-            });
-        });
+        var cbTime, errors = [], items = list ? values : [], count = 0, remaining = 0,
+            result = list ? new Array(values.length) : [], settled = [], attempts = [], passed = [],
+            queue = [], queued = 0, active = 0, pumping, waiting, exhausted, finished,
+            timers = timeout ? [] : null, pauses = retry ? [] : null,
+            notices = ordered ? [] : null, notice = 0, notifying, flushing,
+            deadlineTimer = deadline ? setTimeout(expire, deadline) : null;
+
+        pump();
+
+        // pulls values from the input and invokes queued values, while possible;
+        function pump() {
+            if (pumping) {
+                return; // values that settle synchronously are picked up by the loop;
+            }
+            pumping = true;
+            var progress;
+            do {
+                progress = false;
+                while (!finished && active < concurrency && queued < queue.length) {
+                    active++;
+                    invoke(queue[queued++], true);
+                }
+                // an iterable is not pulled while a function value waits for the pool;
+                if (!finished && !exhausted && !waiting && (list || queued === queue.length)) {
+                    pull();
+                    progress = true;
+                }
+            } while (progress);
+            pumping = false;
+        }
+
+        function pull() {
+            if (list) {
+                if (count < values.length) {
+                    add(values[count]);
+                } else {
+                    exhaust();
+                }
+                return;
+            }
+            var next;
+            try {
+                next = iterator.next();
+            } catch (e) {
+                fault(e);
+                return;
+            }
+            if ($utils.isPromise(next)) {
+                waiting = true;
+                next
+                    .then(function (r) {
+                        waiting = false;
+                        if (!finished) {
+                            take(r);
+                            pump();
+                        }
+                    })
+                    .catch(function (error) {
+                        waiting = false;
+                        if (!finished) {
+                            fault(error);
+                        }
+                    });
+            } else {
+                take(next);
+            }
+        }
+
+        function take(r) {
+            if (!r || r.done) {
+                exhaust();
+            } else {
+                items.push(r.value);
+                add(r.value);
+            }
+        }
+
+        function add(value) {
+            var idx = count++;
+            remaining++;
+            if (concurrency && value instanceof Function) {
+                queue.push(idx);
+            } else {
+                invoke(idx);
+            }
+        }
+
+        function exhaust() {
+            exhausted = true;
+            review();
+        }
+
+        // the iteration failed, which is reported as an extra failed value;
+        function fault(e) {
+            var idx = count++;
+            exhausted = true;
+            result[idx] = {success: false, result: e};
+            settled[idx] = true;
+            errors.push(idx);
+            review();
+        }
+
+        function invoke(idx, pooled) {
+            var valueStart = Date.now();
+            if (timeout) {
+                timers[idx] = setTimeout(function () {
+                    done(false, new TimeoutError("Value resolution timed out.", idx, Date.now() - valueStart));
+                }, timeout);
+            }
+            attempt();
+
+            function attempt() {
+                if (finished || settled[idx]) {
+                    return;
+                }
+                attempts[idx] = (attempts[idx] || 0) + 1;
+                $utils.resolve.call(self, items[idx], null, function (data) {
+                    done(true, data);
+                }, function (reason) {
+                    if (retry && !finished && attempts[idx] <= retry.retries && items[idx] instanceof Function) {
+                        var again;
+                        try {
+                            again = !retry.shouldRetry || retry.shouldRetry.call(self, reason, idx, attempts[idx]);
+                        } catch (e) {
+                            reason = e;
+                        }
+                        if (again) {
+                            pauses[idx] = setTimeout(attempt, $utils.backoff(retry, attempts[idx]));
+                            return;
+                        }
+                    }
+                    done(false, reason);
+                });
+            }
+
+            function done(pass, data) {
+                if (settled[idx]) {
+                    return; // timed out earlier;
+                }
+                settled[idx] = true;
+                if (timeout) {
+                    clearTimeout(timers[idx]);
+                }
+                if (!finished) {
+                    if (pass) {
+                        result[idx] = data;
+                    } else {
+                        result[idx] = {success: false, result: data};
+                        errors.push(idx);
+                    }
+                    if (ordered) {
+                        notices[idx] = {pass: pass, data: data};
+                        flush();
+                        if (!pass) {
+                            review(); // not to wait for the notification;
+                        }
+                    } else {
+                        step(idx, pass, data);
+                    }
+                }
+                if (pooled) {
+                    active--;
+                    pump();
+                }
+            }
+        }
+
+        function expire() {
+            var now = Date.now(), size = list ? values.length : count;
+            for (var i = 0; i < size; i++) {
+                if (!settled[i]) {
+                    settled[i] = true;
+                    result[i] = {
+                        success: false,
+                        result: new TimeoutError("Batch deadline has been reached.", i, now - start)
+                    };
+                    errors.push(i);
+                }
+            }
+            finish();
+        }
+
         function step(idx, pass, data) {
+            var ok = pass;
             if (cb) {
                 var cbResult, cbNow = Date.now(),
                     cbDelay = idx ? (cbNow - cbTime) : undefined;
                 cbTime = cbNow;
                 try {
-                    cbResult = cb.call(self, idx, pass, data, cbDelay);
+                    cbResult = cb.call(self, idx, pass, data, cbDelay, attempts[idx]);
                 } catch (e) {
                     setError(e);
                 }
                 if ($utils.isPromise(cbResult)) {
                     cbResult
-                        .then(check)
+                        .then(function () {
+                            notified(idx, ok);
+                        })
                         .catch(function (error) {
                             setError(error);
-                            check();
+                            notified(idx, ok);
                         });
                 } else {
-                    check();
+                    notified(idx, ok);
                 }
             } else {
-                check();
+                check(idx, ok);
             }
 
             function setError(e) {
+                if (finished) {
+                    return;
+                }
                 var r = pass ? {success: false} : result[idx];
                 if (pass) {
                     result[idx] = r;
                     errors.push(idx);
                 }
                 r.result = e;
-                r.origin = {success: pass, result: data}
+                r.origin = {success: pass, result: data};
+                ok = false;
             }
+        }
 
-            function check() {
-                if (--remaining) {
-                    return;
-                }
-                if (errors.length) {
-                    if (errors.length < result.length) {
-                        errors.sort();
-                        sorted = true;
-                        for (var i = 0, k = 0; i < result.length; i++) {
-                            if (i === errors[k]) {
-                                k++;
-                            } else {
-                                result[i] = {success: true, result: result[i]};
-                            }
+        function notified(idx, ok) {
+            check(idx, ok);
+            if (ordered) {
+                notifying = false;
+                flush();
+            }
+        }
+
+        // sends buffered notifications in the index order, one at a time;
+        function flush() {
+            if (flushing) {
+                return; // synchronous notifications are picked up by the loop;
+            }
+            flushing = true;
+            while (!finished && !notifying && notices[notice]) {
+                var n = notices[notice];
+                notices[notice] = null;
+                notifying = true;
+                step(notice++, n.pass, n.data);
+            }
+            flushing = false;
+        }
+
+        function check(idx, ok) {
+            if (finished) {
+                return;
+            }
+            remaining--;
+            if (quorum && ok) {
+                passed.push(idx);
+            }
+            review();
+        }
+
+        function review() {
+            if (finished) {
+                return;
+            }
+            if ((exhausted && !remaining) || (failFast && errors.length) ||
+                (quorum && (passed.length >= quorum || (exhausted && errors.length > count - quorum)))) {
+                finish();
+            }
+        }
+
+        function finish() {
+            finished = true;
+            if (deadline) {
+                clearTimeout(deadlineTimer);
+            }
+            if (timeout) {
+                timers.forEach(clearTimeout);
+            }
+            if (retry) {
+                pauses.forEach(clearTimeout);
+            }
+            if (!exhausted && iterator) {
+                $utils.close(iterator);
+            }
+            var failed = quorum ? passed.length < quorum : errors.length;
+            if (failed || settle) {
+                var succeeded = 0;
+                errors.sort(function (a, b) {
+                    return a - b;
+                });
+                if (errors.length < result.length) {
+                    for (var i = 0, k = 0; i < result.length; i++) {
+                        if (i === errors[k]) {
+                            k++;
+                        } else if (settled[i]) {
+                            result[i] = {success: true, result: result[i]};
+                            succeeded++;
+                        } else {
+                            result[i] = {success: undefined, pending: true};
                         }
                     }
-                    $utils.extend(result, 'getErrors', function () {
-                        if (!sorted) {
-                            errors.sort();
-                            sorted = true;
-                        }
-                        var err = new Array(errors.length);
-                        for (var i = 0; i < errors.length; i++) {
-                            err[i] = result[errors[i]].result;
-                            if (err[i] instanceof Array && err[i].getErrors instanceof Function) {
-                                err[i] = err[i].getErrors();
-                            }
+                }
+                if (retry) {
+                    result.forEach(function (r, i) {
+                        if (attempts[i]) {
+                            r.attempts = attempts[i];
                         }
-                        return err;
                     });
-                    reject(result);
-                } else {
+                }
+                $utils.extend(result, 'getErrors', function () {
+                    var err = new Array(errors.length);
+                    for (var i = 0; i < errors.length; i++) {
+                        err[i] = result[errors[i]].result;
+                        if (err[i] instanceof Array && err[i].getErrors instanceof Function) {
+                            err[i] = err[i].getErrors();
+                        }
+                    }
+                    if (quorum && count < quorum) {
+                        err.push(new TypeError("Invalid quorum size.")); // the iteration was too short;
+                    }
+                    return err;
+                });
+                if (settle) {
+                    $utils.extend(result, 'succeeded', succeeded);
+                    $utils.extend(result, 'failed', errors.length);
                     $utils.extend(result, 'duration', Date.now() - start);
                     resolve(result);
+                } else {
+                    reject(result);
                 }
+            } else {
+                var data = result;
+                if (quorum) {
+                    data = passed.map(function (idx) {
+                        return {index: idx, result: result[idx]};
+                    });
+                }
+                $utils.extend(data, 'duration', Date.now() - start);
+                resolve(data);
             }
         }
     });
@@ -165,14 +545,18 @@ function batch(values, cb) {
 
 ///////////////////////////////////
 // object-to-parameters converter;
-function _batch(values, cb) {
+function _batch(values, cb, concurrency, failFast, timeout, deadline, retry, quorum, ordered, settle) {
     if (cb && typeof cb === 'object') {
-        return batch.call(this, values, cb.cb);
+        return batch.call(this, values, cb.cb, cb.concurrency, cb.failFast, cb.timeout, cb.deadline,
+            cb.retry, cb.quorum, cb.ordered, cb.settle);
     } else {
-        return batch.call(this, values, cb);
+        return batch.call(this, values, cb, concurrency, failFast, timeout, deadline, retry, quorum,
+            ordered, settle);
     }
 }
 
+var TimeoutError = require('../timeout');
+
 var $utils, $p;
 
 module.exports = function (config) {
@@ -0,0 +1,228 @@
+'use strict';
+
+/**
+ * @method batch.each
+ * @summary Settles $[mixed values], producing the results as an async iterator.
+ * @description
+ * **Alternative Syntax:**
+ * `batch.each(values, {concurrency})` &#8658; `AsyncIterator`
+ *
+ * Settles every $[mixed value] in the input, same as method $[batch], but instead of a promise,
+ * it returns an async iterator that yields the outcome of each value as soon as it settles,
+ * in the order of settlement, so the results can be consumed with `for await` before the batch
+ * has finished:
+ *
+ * ```js
+ * for await (var r of spex.batch.each(values, {concurrency: 10})) {
+ *     if (r.success) {
+ *         console.log(r.index, r.result);
+ *     }
+ * }
+ * ```
+ *
+ * The values start resolving right away, with the iterator acting as a buffer of results
+ * that have not been consumed yet.
+ *
+ * @param {Array|Iterable|AsyncIterable} values
+ * Array or iterable of $[mixed values], to be resolved asynchronously, in no particular order.
+ *
+ * As with method $[batch], if the iterable throws an error or its async `next()` rejects, no more values
+ * are pulled, and the error is yielded as one extra failed value.
+ *
+ * Passing in anything else will throw `Batch requires an array or an iterable of values.`
+ *
+ * @param {Number} [concurrency=0]
+ * Maximum number of values that can be resolving or waiting to be consumed at the same time.
+ *
+ * When greater than 0, the next value is taken from the input only once the consumer has received
+ * the result of a previous one, so the pace of the consumer limits how many function values are started,
+ * and how many values are pulled from an iterable.
+ *
+ * When `concurrency` isn't specified (default), every value is taken from the input at once.
+ *
+ * @returns {AsyncIterator}
+ * Async iterator (also an async iterable), which yields objects `{index, success, result}`:
+ *  - `index` = index of the value in the input array or iteration
+ *  - `success` - indicates whether the value was resolved (`true`), or rejected (`false`)
+ *  - `result` = resolved data, if `success`=`true`, or else the rejection reason
+ *
+ * The iteration is finished once every value has been yielded. It never rejects.
+ *
+ * Calling `return()` on the iterator (i.e. breaking out of the `for await` loop) stops taking values
+ * from the input, ignores any values still being resolved, and closes the input iterator, if any.
+ */
+function each(values, concurrency) {
+
+    var list = Array.isArray(values), iterator = list ? null : $utils.getIterator(values);
+    if (!list && !iterator) {
+        throw new TypeError("Batch requires an array or an iterable of values.");
+    }
+
+    concurrency = (concurrency > 0) ? parseInt(concurrency) : 0;
+
+    var self = this, count = 0, pending = 0, slots = 0, buffer = [], waiters = [],
+        pumping, waiting, exhausted, closed;
+
+    var result = {
+        next: function () {
+            if (buffer.length) {
+                var item = buffer.shift();
+                slots--;
+                pump();
+                return $p.resolve({value: item, done: false});
+            }
+            if (closed || (exhausted && !pending)) {
+                return $p.resolve({value: undefined, done: true});
+            }
+            return $p(function (resolve) {
+                waiters.push(resolve);
+            });
+        },
+        return: function () {
+            if (!closed) {
+                closed = true;
+                buffer = [];
+                if (iterator && !exhausted) {
+                    $utils.close(iterator);
+                }
+                end();
+            }
+            return $p.resolve({value: undefined, done: true});
+        }
+    };
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        result[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    pump();
+
+    return result;
+
+    // takes values from the input, while there are free slots;
+    function pump() {
+        if (pumping) {
+            return; // values that settle synchronously are picked up by the loop;
+        }
+        pumping = true;
+        while (!closed && !exhausted && !waiting && (!concurrency || slots < concurrency)) {
+            pull();
+        }
+        pumping = false;
+    }
+
+    function pull() {
+        if (list) {
+            if (count < values.length) {
+                add(values[count]);
+            } else {
+                exhaust();
+            }
+            return;
+        }
+        var next;
+        try {
+            next = iterator.next();
+        } catch (e) {
+            fault(e);
+            return;
+        }
+        if ($utils.isPromise(next)) {
+            waiting = true;
+            next
+                .then(function (r) {
+                    waiting = false;
+                    take(r);
+                    pump();
+                })
+                .catch(function (error) {
+                    waiting = false;
+                    fault(error);
+                });
+        } else {
+            take(next);
+        }
+    }
+
+    function take(r) {
+        if (closed) {
+            return;
+        }
+        if (!r || r.done) {
+            exhaust();
+        } else {
+            add(r.value);
+        }
+    }
+
+    function add(value) {
+        var idx = count++;
+        pending++;
+        slots++;
+        $utils.resolve.call(self, value, null, function (data) {
+            deliver({index: idx, success: true, result: data});
+        }, function (reason) {
+            deliver({index: idx, success: false, result: reason});
+        });
+    }
+
+    // the iteration failed, which is yielded as an extra failed value;
+    function fault(e) {
+        if (closed) {
+            return;
+        }
+        exhausted = true;
+        pending++;
+        slots++;
+        deliver({index: count++, success: false, result: e});
+    }
+
+    function exhaust() {
+        exhausted = true;
+        end();
+    }
+
+    function deliver(item) {
+        pending--;
+        if (closed) {
+            return;
+        }
+        if (waiters.length) {
+            slots--;
+            waiters.shift()({value: item, done: false});
+            pump();
+        } else {
+            buffer.push(item);
+        }
+        end();
+    }
+
+    // finishes the iteration for all waiting consumers, once there is nothing left;
+    function end() {
+        if (closed || (exhausted && !pending && !buffer.length)) {
+            while (waiters.length) {
+                waiters.shift()({value: undefined, done: true});
+            }
+        }
+    }
+}
+
+///////////////////////////////////
+// object-to-parameters converter;
+function _each(values, concurrency) {
+    if (concurrency && typeof concurrency === 'object') {
+        return each.call(this, values, concurrency.concurrency);
+    } else {
+        return each.call(this, values, concurrency);
+    }
+}
+
+var $utils, $p;
+
+module.exports = function (config) {
+    $utils = config.utils;
+    $p = config.promise;
+    return _each;
+};
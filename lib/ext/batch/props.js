@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * @method batch.props
+ * @summary Settles an object or a `Map` of $[mixed values].
+ * @description
+ * **Alternative Syntax:**
+ * `batch.props(values, {cb, concurrency, failFast, timeout, deadline, retry, quorum, ordered, settle})` &#8658; `Promise`
+ *
+ * Keyed version of method $[batch]: settles every $[mixed value] in the object or `Map`,
+ * and resolves with the results under the same keys, if all values have been resolved, or else rejects.
+ *
+ * @param {Object|Map} values
+ * Object (own enumerable properties) or `Map` of $[mixed values], to be resolved asynchronously,
+ * in no particular order.
+ *
+ * Passing in anything else will throw `Batch requires an object or a Map of values.`
+ *
+ * Names `duration` and `getErrors` are reserved for the properties that the method adds to its result,
+ * so an object that uses either of them as a key will throw `Property name 'duration' is reserved.`
+ * (or the same for `getErrors`). With option `settle`, names `succeeded` and `failed` are reserved also.
+ * A `Map` can use any keys, as its entries never collide with properties.
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the notification callback or an object with the same options as method $[batch].
+ *
+ * The notification callback receives the `key` of each settled value, in place of its index.
+ *
+ * @returns {Promise}
+ * When all values have been resolved, the method resolves with an object of the same type (object or `Map`),
+ * with the resolved data under the same keys. In addition, the result is extended with read-only
+ * property `duration` - number of milliseconds spent resolving all the data.
+ *
+ * With option `quorum`, the resolved object contains only the keys of the values that resolved,
+ * in the order of their resolution.
+ *
+ * When failed, the method rejects with an object of the same type, with each key set to the corresponding
+ * entry from the $[batch] rejection array, i.e. `{success, result, [origin]}`.
+ *
+ * In addition, the rejection object is extended with function `getErrors`, which returns an object
+ * of the same type with just the failed keys, each set to its error, with support for nested batch results.
+ *
+ * With option `settle`, the method always resolves, with the same object that it would otherwise reject with,
+ * including function `getErrors`, and with read-only properties `succeeded`, `failed` and `duration`
+ * copied from the $[batch] result.
+ */
+function props(values, options) {
+
+    var map = isMap(values);
+
+    if (!map && (!values || typeof values !== 'object' || Array.isArray(values))) {
+        throw new TypeError("Batch requires an object or a Map of values.");
+    }
+
+    var opt = $utils.batchOptions(options),
+        names = opt.settle ? reserved.concat(['succeeded', 'failed']) : reserved;
+
+    var keys = [], list = [];
+    if (map) {
+        values.forEach(function (value, key) {
+            keys.push(key);
+            list.push(value);
+        });
+    } else {
+        Object.keys(values).forEach(function (key) {
+            if (names.indexOf(key) !== -1) {
+                throw new TypeError("Property name '" + key + "' is reserved.");
+            }
+            keys.push(key);
+            list.push(values[key]);
+        });
+    }
+
+    if (opt.cb) {
+        var cb = $utils.wrap(opt.cb);
+        opt.cb = function (index) {
+            var args = Array.prototype.slice.call(arguments);
+            args[0] = keys[index];
+            return cb.apply(this, args);
+        };
+    }
+
+    function set(obj, key, value) {
+        if (map) {
+            obj.set(key, value);
+        } else {
+            obj[key] = value;
+        }
+    }
+
+    function keyed(data) {
+        var res = map ? new Map() : {};
+        keys.forEach(function (key, i) {
+            set(res, key, data[i]);
+        });
+        return res;
+    }
+
+    // quorum results are {index, result}, in the order of resolution;
+    function resolved(data) {
+        var res = map ? new Map() : {};
+        data.forEach(function (d) {
+            set(res, keys[d.index], d.result);
+        });
+        return res;
+    }
+
+    // function getErrors for the keyed array of {success, result, [origin]};
+    function errors(data) {
+        return function () {
+            var err = map ? new Map() : {};
+            data.forEach(function (r, i) {
+                if (r.success === false) {
+                    var e = r.result;
+                    if (e instanceof Array && e.getErrors instanceof Function) {
+                        e = e.getErrors();
+                    }
+                    set(err, keys[i], e);
+                }
+            });
+            return err;
+        };
+    }
+
+    return $spex.batch.call(this, list, opt)
+        .then(function (data) {
+            var result;
+            if (opt.settle) {
+                result = keyed(data);
+                $utils.extend(result, 'getErrors', errors(data));
+                $utils.extend(result, 'succeeded', data.succeeded);
+                $utils.extend(result, 'failed', data.failed);
+            } else {
+                result = opt.quorum > 0 ? resolved(data) : keyed(data);
+            }
+            $utils.extend(result, 'duration', data.duration);
+            return result;
+        }, function (reason) {
+            var result = keyed(reason);
+            $utils.extend(result, 'getErrors', errors(reason));
+            return $p.reject(result);
+        });
+}
+
+////////////////////////////////////////////////////////
+// Property names added to the result, not usable as keys;
+var reserved = ['duration', 'getErrors'];
+
+/////////////////////////////////////////////////////
+// Checks if the value is a Map, where it's supported;
+function isMap(value) {
+    return typeof Map === 'function' && value instanceof Map;
+}
+
+var $spex, $utils, $p;
+
+module.exports = function (config) {
+    $spex = config.spex;
+    $utils = config.utils;
+    $p = config.promise;
+    return props;
+};
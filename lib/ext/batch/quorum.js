@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * @method batch.some
+ * @summary Resolves as soon as the required number of $[mixed values] resolve.
+ * @description
+ * **Alternative Syntax:**
+ * `batch.some(values, count, {cb, concurrency, timeout, deadline, retry})` &#8658; `Promise`
+ *
+ * Settles $[mixed values] as method $[batch] does with option `quorum` = `count`: it resolves as soon
+ * as `count` values have resolved, and rejects as soon as that can no longer happen.
+ *
+ * @param {Array|Iterable|AsyncIterable} values
+ * Array or iterable of $[mixed values], to be resolved asynchronously, in no particular order.
+ *
+ * Passing in anything else will throw `Batch requires an array or an iterable of values.`
+ *
+ * @param {Number} count
+ * Number of values that must resolve.
+ *
+ * Passing in anything other than a positive integer, or more than the number of values in an array,
+ * will throw `Invalid quorum size.`
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the notification callback or an object with the same options as method $[batch].
+ *
+ * @returns {Promise}
+ * Resolves with an array of objects `{index, result}`, one for each resolved value, in the order of resolution:
+ *  - `index` = index of the value in the input array
+ *  - `result` = resolved data
+ *
+ * The array is extended with read-only property `duration` - number of milliseconds spent resolving the data.
+ *
+ * When the quorum cannot be reached, the method rejects with the same array of objects `{success, result, [origin]}`,
+ * extended with function `getErrors`, as method $[batch] does, where values not settled by then are reported as
+ * `{success: undefined, pending: true}`.
+ *
+ * @see $[batch.any], $[batch.majority]
+ */
+function some(values, count, options) {
+    if (!(count > 0) || count % 1) {
+        throw new TypeError("Invalid quorum size.");
+    }
+    var opt = $utils.batchOptions(options);
+    opt.quorum = count;
+    return $spex.batch.call(this, values, opt);
+}
+
+/**
+ * @method batch.any
+ * @summary Resolves as soon as one of the $[mixed values] resolves.
+ * @description
+ * **Alternative Syntax:**
+ * `batch.any(values, {cb, concurrency, timeout, deadline, retry})` &#8658; `Promise`
+ *
+ * Same as $[batch.some] with `count` = 1, except for the result.
+ *
+ * @param {Array|Iterable|AsyncIterable} values
+ * Array or iterable of $[mixed values], to be resolved asynchronously, in no particular order.
+ *
+ * Passing in anything else will throw `Batch requires an array or an iterable of values.`
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the notification callback or an object with the same options as method $[batch].
+ *
+ * @returns {Promise}
+ * Resolves with object `{index, result, duration}` for the first value that resolved:
+ *  - `index` = index of the value in the input array
+ *  - `result` = resolved data
+ *  - `duration` = number of milliseconds spent resolving the data
+ *
+ * Rejects the same as $[batch.some], when every value has failed.
+ *
+ * @see $[batch.some], $[batch.majority]
+ */
+function any(values, options) {
+    return some.call(this, values, 1, options)
+        .then(function (data) {
+            return {
+                index: data[0].index,
+                result: data[0].result,
+                duration: data.duration
+            };
+        });
+}
+
+/**
+ * @method batch.majority
+ * @summary Resolves as soon as the majority of $[mixed values] resolve.
+ * @description
+ * **Alternative Syntax:**
+ * `batch.majority(values, {cb, concurrency, timeout, deadline, retry})` &#8658; `Promise`
+ *
+ * Same as $[batch.some] with `count` set to more than half of the values.
+ *
+ * @param {Array} values
+ * Array of $[mixed values], to be resolved asynchronously, in no particular order.
+ *
+ * Passing in anything other than an array will throw `Batch requires an array of values.`
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the notification callback or an object with the same options as method $[batch].
+ *
+ * @returns {Promise}
+ * Resolves and rejects the same as $[batch.some].
+ *
+ * @see $[batch.any], $[batch.some]
+ */
+function majority(values, options) {
+    if (!Array.isArray(values)) {
+        throw new TypeError("Batch requires an array of values.");
+    }
+    return some.call(this, values, Math.floor(values.length / 2) + 1, options);
+}
+
+var $spex, $utils;
+
+module.exports = function (config) {
+    $spex = config.spex;
+    $utils = config.utils;
+    return {
+        any: any,
+        some: some,
+        majority: majority
+    };
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * @method batch.settle
+ * @summary Settles $[mixed values], and reports the outcome of each one.
+ * @description
+ * **Alternative Syntax:**
+ * `batch.settle(values, {cb, concurrency, failFast, timeout, deadline, retry, ordered})` &#8658; `Promise`
+ *
+ * Same as method $[batch] with option `settle` = `true`, i.e. it never rejects, but resolves with
+ * the state of each value.
+ *
+ * @param {Array|Iterable|AsyncIterable} values
+ * Array or iterable of $[mixed values], to be resolved asynchronously, in no particular order.
+ *
+ * Passing in anything else will throw `Batch requires an array or an iterable of values.`
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the notification callback or an object with the same options as method $[batch].
+ *
+ * @returns {Promise}
+ * Resolves with an array of objects `{success, result, [origin]}`, one for each value, extended with
+ * function `getErrors` and read-only properties `succeeded`, `failed` and `duration`.
+ *
+ * See option `settle` of method $[batch] for details.
+ */
+function settle(values, options) {
+    var opt = $utils.batchOptions(options);
+    opt.settle = true;
+    return $spex.batch.call(this, values, opt);
+}
+
+var $spex, $utils;
+
+module.exports = function (config) {
+    $spex = config.spex;
+    $utils = config.utils;
+    return settle;
+};
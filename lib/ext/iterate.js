@@ -0,0 +1,195 @@
+'use strict';
+
+/**
+ * @method sequence.iterate
+ * @summary Produces a $[sequence] as an async iterator.
+ * @description
+ * **Alternative Syntax:**
+ * `sequence.iterate(source, {limit})` &#8658; `AsyncIterator`
+ *
+ * Runs method $[sequence], but instead of passing the resolved data into a `dest` function,
+ * it returns an async iterator that yields the data for each index, so it can be consumed with `for await`:
+ *
+ * ```js
+ * for await (var data of spex.sequence.iterate(source, {limit: 100})) {
+ *     console.log(data);
+ * }
+ * ```
+ *
+ * The sequence is driven by the consumer: it starts with the first call to `next()`, and each
+ * following call into `source` is made only once the consumer has asked for the next item.
+ *
+ * @param {Function|generator|Iterable|AsyncIterable} source
+ * Same as for method $[sequence].
+ *
+ * Passing in anything other than a function or an iterable will throw `Invalid sequence source.`
+ *
+ * @param {Number} [limit=0]
+ * Same as for method $[sequence].
+ *
+ * @returns {AsyncIterator}
+ * Async iterator (also an async iterable), which yields the resolved data for each index.
+ *
+ * The iteration is finished when the sequence ends. And if the sequence fails, `next()` rejects
+ * with the same object that method $[sequence] rejects with.
+ *
+ * Calling `return()` on the iterator (i.e. breaking out of the `for await` loop) stops the sequence,
+ * without any more calls into `source`.
+ *
+ * @see $[page.iterate]
+ */
+function iterateSequence(source, limit) {
+    if (typeof source !== 'function' && !$utils.isIterable(source)) {
+        throw new TypeError("Invalid sequence source.");
+    }
+    return iterate($controlled.sequence, this, source, limit);
+}
+
+/**
+ * @method page.iterate
+ * @summary Produces a $[page] sequence as an async iterator.
+ * @description
+ * **Alternative Syntax:**
+ * `page.iterate(source, {limit})` &#8658; `AsyncIterator`
+ *
+ * Runs method $[page], and returns an async iterator that yields each page, resolved as a $[batch],
+ * same as $[sequence.iterate] does for the data of method $[sequence].
+ *
+ * @param {Function|generator|Iterable|AsyncIterable} source
+ * Same as for method $[page].
+ *
+ * Passing in anything other than a function or an iterable will throw `Invalid page source.`
+ *
+ * @param {Number} [limit=0]
+ * Same as for method $[page].
+ *
+ * @returns {AsyncIterator}
+ * Async iterator (also an async iterable), which yields each page, resolved as a $[batch].
+ *
+ * The iteration is finished when there are no more pages. And if the method fails, `next()` rejects
+ * with the same object that method $[page] rejects with.
+ *
+ * Calling `return()` on the iterator (i.e. breaking out of the `for await` loop) stops paging,
+ * without any more calls into `source`.
+ *
+ * @see $[sequence.iterate]
+ */
+function iteratePage(source, limit) {
+    if (typeof source !== 'function' && !$utils.isIterable(source)) {
+        throw new TypeError("Invalid page source.");
+    }
+    return iterate($controlled.page, this, source, limit);
+}
+
+//////////////////////////////////////////////////////////////
+// Runs the method, with its destination handing the data over
+// to the consumer, and waiting till the next item is requested.
+function iterate(method, self, source, limit) {
+
+    var control = {}, waiters = [], proceed, failure, started, finished, closed;
+
+    var result = {
+        next: function () {
+            if (failure) {
+                var reason = failure;
+                failure = null;
+                return $p.reject(reason);
+            }
+            if (closed || finished) {
+                return $p.resolve({value: undefined, done: true});
+            }
+            return $p(function (resolve, reject) {
+                waiters.push({resolve: resolve, reject: reject});
+                if (!started) {
+                    started = true;
+                    method.call(self, source, {dest: receive, limit: limit}, control)
+                        .then(end, fail);
+                } else if (proceed) {
+                    var p = proceed;
+                    proceed = null;
+                    p();
+                }
+            });
+        },
+        return: function () {
+            if (!closed) {
+                closed = true;
+                if (started && !finished) {
+                    control.cancel();
+                }
+                end();
+            }
+            return $p.resolve({value: undefined, done: true});
+        }
+    };
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        result[Symbol.asyncIterator] = function () {
+            return this;
+        };
+    }
+
+    return result;
+
+    function receive(index, data) {
+        if (closed) {
+            return;
+        }
+        waiters.shift().resolve({value: data, done: false});
+        if (!waiters.length) {
+            return $p(function (resolve) {
+                proceed = resolve; // till the consumer asks for more;
+            });
+        }
+    }
+
+    // finishes the iteration for all waiting consumers;
+    function end() {
+        finished = true;
+        while (waiters.length) {
+            waiters.shift().resolve({value: undefined, done: true});
+        }
+    }
+
+    function fail(reason) {
+        if (closed) {
+            return;
+        }
+        if (waiters.length) {
+            waiters.shift().reject(reason);
+        } else {
+            failure = reason;
+        }
+        end();
+    }
+}
+
+///////////////////////////////////
+// object-to-parameters converters;
+function _iterateSequence(source, limit) {
+    if (limit && typeof limit === 'object') {
+        return iterateSequence.call(this, source, limit.limit);
+    } else {
+        return iterateSequence.call(this, source, limit);
+    }
+}
+
+function _iteratePage(source, limit) {
+    if (limit && typeof limit === 'object') {
+        return iteratePage.call(this, source, limit.limit);
+    } else {
+        return iteratePage.call(this, source, limit);
+    }
+}
+
+var $controlled, $utils, $p;
+
+module.exports = function (config) {
+    $controlled = config.controlled;
+    $utils = config.utils;
+    $p = config.promise;
+    return {
+        sequence: _iterateSequence,
+        page: _iteratePage
+    };
+};
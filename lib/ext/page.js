@@ -5,14 +5,15 @@
  * @summary Resolves a dynamic sequence of pages/arrays with $[mixed values].
  * @description
  * **Alternative Syntax:**
- * `page(source, {dest, limit})` &#8658; `Promise`
+ * `page(source, {dest, limit, stepTimeout, timeout, rate, checkpoint, startIndex, initialData, initialTotal,
+ * prefetch, initialCursor, tolerant, onPageError, adaptive, maxItems, track})` &#8658; `Promise`
  *
  * Acquires pages (arrays of $[mixed values]) from the source function, one by one,
  * and resolves each page as a $[batch], till no more pages left or an error/reject occurs.
  *
  * <img src="../images/page.png" width="561px" height="193px" alt="page">
  *
- * @param {Function|generator} source
+ * @param {Function|generator|Iterable|AsyncIterable} source
  * Expected to return a $[mixed value] that resolves with the next page of data (array of $[mixed values]).
  * Returning or resolving with `undefined` ends the sequence, and the method resolves.
  *
@@ -20,8 +21,19 @@
  *
  * Parameters:
  *  - `index` = index of the page being requested
- *  - `data` = previously returned page, resolved as a $[batch] (`undefined` when `index=0`)
- *  - `delay` = number of milliseconds since the last call (`undefined` when `index=0`)
+ *  - `data` = previously returned page, resolved as a $[batch] (`initialData` for the first call)
+ *  - `delay` = number of milliseconds since the last call (`undefined` for the first call)
+ *  - `attempt` = always 1, as source calls are not retried, for the same parameter order as in method $[sequence]
+ *  - `wait` = number of milliseconds the call was held back by the rate limit (see parameter `rate`)
+ *  - `cursor` = `next` cursor from the previous page, for cursor-based paging (see below)
+ *  - `size` = suggested number of values for the page, in adaptive mode (see parameter `adaptive`)
+ *
+ * For APIs that page by cursor, the function can instead return or resolve with object `{items, next}`:
+ *  - `items` = the page of data (array of $[mixed values])
+ *  - `next` = cursor (token) for the next page, to be passed into the following call as parameter `cursor`
+ *
+ * The page with `next` absent (`undefined` or `null`) is the last one, and results `pages` and `total`
+ * count only the `items`.
  *
  * If the function throws an error or returns a rejected promise, the method rejects with
  * object `{index, error, source}`:
@@ -29,11 +41,13 @@
  *  - `error` = the error thrown or the rejection reason
  *  - `source` = resolved `data` that was passed into the function
  *
- * And if the function returns or resolves with anything other than an array or `undefined`,
+ * And if the function returns or resolves with anything other than an array, `{items, next}` or `undefined`,
  * the method rejects with the same object, but with `error` set to `Unexpected data returned
  * from the source.`
  *
- * Passing in anything other than a function will throw `Invalid page source.`
+ * Alternatively, it can be a sync or async iterator or iterable of pages, same as for method $[sequence].
+ *
+ * Passing in anything other than a function or an iterable will throw `Invalid page source.`
  *
  * @param {Function|generator} [dest]
  * Optional destination function (or generator), to receive a resolved $[batch] of data
@@ -42,13 +56,13 @@
  * Parameters:
  *  - `index` = page index in the sequence
  *  - `data` = page data resolved as a $[batch]
- *  - `delay` = number of milliseconds since the last call (`undefined` when `index=0`)
+ *  - `delay` = number of milliseconds since the last call (`undefined` for the first call)
  *
  * The function is called with the same `this` context as the calling method.
  *
  * It can optionally return a promise object, if notifications are handled asynchronously.
  * And if a promise is returned, the method will not request another page from the `source`
- * function until the promise has been resolved.
+ * function until the promise has been resolved, unless option `prefetch` is used.
  *
  * If the function throws an error or returns a rejected promise, the sequence terminates,
  * and the method rejects with object `{index, error, dest}`:
@@ -65,12 +79,124 @@
  *  - `source` returns or resolves with `undefined` or an invalid value (non-array)
  *  - either `source` or `dest` functions throw an error or return a rejected promise
  *
+ * @param {Number} [stepTimeout=0]
+ * Maximum number of milliseconds for each step of processing a page: resolving the value from `source`,
+ * resolving the page as a $[batch], and resolving a promise returned from `dest`.
+ *
+ * When greater than 0, and `source` or `dest` take longer, the method rejects with the usual
+ * `{index, error, source}` or `{index, error, dest}` object, with `error` set to a $[TimeoutError],
+ * with `message` = `Source request timed out.` or `Destination request timed out.`, plus the `index`
+ * of the page and the `duration` of the step. And when it is the page that takes longer to resolve,
+ * it is passed into $[batch] as the `deadline`, resulting in a *Normal Reject*.
+ *
+ * @param {Number} [timeout=0]
+ * Maximum number of milliseconds for the entire method. When greater than 0, and the time runs out,
+ * the method stops requesting pages from `source`, and rejects with an *Internal Reject* for the page
+ * that is due next in the index order, with `error` set to a $[TimeoutError], with `message` = `Page sequence timed out.`, plus the `index`
+ * of the page and the `duration` of the method. It has property `dest` when `dest` is processing the page,
+ * and `source` in all other cases.
+ *
+ * @param {Object} [rate]
+ * Rate limit for requesting pages from `source`, same as for method $[sequence]:
+ *  - `{perSecond}` - maximum number of pages per second
+ *  - `{count, interval}` - maximum number of pages per `interval` milliseconds
+ *
+ * The number of milliseconds each call was held back is passed into `source` as parameter `wait`.
+ *
+ * @param {Function} [checkpoint]
+ * Optional function to be called with object `{index, data, total}` after each page has been
+ * successfully processed by `dest` (or resolved, when there is no `dest`), to persist the progress,
+ * so paging can be resumed from it later, via `startIndex` = `index + 1`, `initialData` = `data`
+ * and `initialTotal` = `total`:
+ *  - `index` = index of the page
+ *  - `data` = page data resolved as a $[batch]
+ *  - `total` = number of values resolved so far, including the page
+ *  - `cursor` = `next` cursor returned with the page, only for cursor-based paging,
+ *    to be used as `initialCursor` when resuming
+ *
+ * The function is called with the same `this` context as the calling method, and if it throws an error,
+ * the method rejects the same as when `dest` fails.
+ *
+ * @param {Number} [startIndex=0]
+ * Index of the page from which to start (resume) paging. Parameter `limit` and the resolved `pages`
+ * include all the pages before it, while `duration` covers only the new work.
+ *
+ * @param {*} [initialData]
+ * Page data to be passed into the first call to `source`, as if it was resolved for the previous page.
+ *
+ * @param {Number} [initialTotal=0]
+ * Number of values resolved before `startIndex`, to be included into the resolved `total`.
+ *
+ * @param {Number} [prefetch=0]
+ * Number of pages to be requested from `source` and resolved ahead, while `dest` is still processing
+ * the current page, so the latency of `source` and `dest` do not add up.
+ *
+ * Pages are still passed into `dest` in the index order. And parameter `data` of `source` is still the previous
+ * page, passed in as soon as it has been resolved, so sources that depend on the previous page keep working.
+ *
+ * A failure to get or resolve a prefetched page is reported only once all the pages before it have been
+ * processed by `dest`, and if `dest` fails first, the prefetched pages are discarded.
+ *
+ * @param {*} [initialCursor]
+ * Cursor to be passed into the first call to `source`, for cursor-based paging.
+ *
+ * @param {Boolean} [tolerant=false]
+ * Makes the method continue past pages that failed to resolve as a $[batch], instead of the *Normal Reject*.
+ *
+ * A failed page is then processed like any other, only with the rejection data from method $[batch]
+ * (with function `getErrors` intact) in place of the resolved page: it is passed into `onPageError`, `dest`
+ * and `checkpoint`, and into `source` as parameter `data`, and its size is counted in `total`.
+ *
+ * And the resolved object is extended with properties `failedPages` and `pageErrors`.
+ *
+ * @param {Function} [onPageError]
+ * Optional function `(index, data)` to be notified of each failed page in `tolerant` mode, before it is
+ * passed into `dest`, with `data` being the rejection data from method $[batch].
+ *
+ * The function is called with the same `this` context as the calling method, and if it throws an error,
+ * the method rejects the same as when `dest` fails.
+ *
+ * @param {Object} [adaptive]
+ * Adaptive page sizing `{target, min, max, initial}`, in which the method suggests to `source` the size
+ * of each page, via parameter `size`, so that resolving a page as a $[batch] and processing it by `dest`
+ * takes about the `target` number of milliseconds:
+ *  - `target` = target latency for each page, in milliseconds (required)
+ *  - `min` = minimum page size (default = 1)
+ *  - `max` = maximum page size (default = 1000, or `min` when it is greater)
+ *  - `initial` = page size to start with (default = `min`)
+ *
+ * After each page has been processed, the next size is scaled from the actual size of the page by
+ * the ratio of `target` to the time measured for the page, growing no more than twice at a time, and
+ * kept within `min` and `max`. The `source` is free to return pages of any other size.
+ *
+ * The resolved object is then extended with property `sizes` - array of the suggested sizes
+ * for the processed pages, in the index order.
+ *
+ * @param {Number} [maxItems=0]
+ * Limits the total number of values to be resolved. If the value is greater than 0, the page that reaches
+ * the limit is truncated to the values within it, before it is resolved as a $[batch], and the method
+ * successfully resolves once that page has been processed. When resuming, `initialTotal` counts towards it.
+ *
+ * @param {Boolean} [track=false]
+ * Changes the type of data to be resolved by this method. When set to be `true`, the method collects
+ * the data of all the pages (as passed into `dest`) into one flattened array, and resolves with that array,
+ * the same as option `track` of method $[sequence], extended with read-only property `duration`
+ * (plus `failedPages`, `pageErrors` and `sizes`, when used).
+ *
+ * It must be used with caution, as to the number of values, because accumulating data for
+ * a very large number of pages can result in consuming too much memory.
+ *
  * @returns {Promise}
- * When successful, the method resolves with object `{pages, total, duration}`:
+ * When successful, the method resolves with object `{pages, total, duration}`, unless `track` is used:
  *  - `pages` = number of pages resolved
  *  - `total` = the sum of all page sizes (total number of values resolved)
  *  - `duration` = number of milliseconds consumed by the method
  *
+ * In `tolerant` mode, the object also has:
+ *  - `failedPages` = array of indexes of the pages that failed to resolve
+ *  - `pageErrors` = array of summaries `{index, failed, errors}` for those pages, where `failed`
+ *    is the number of values that failed in the page, and `errors` is the list of their errors
+ *
  * When the method fails, there are two types of rejects that may occur:
  *  - *Normal Reject*: when one of the pages failed to resolve as a $[batch]
  *  - *Internal Reject*: caused by either the `source` or the `dest` functions
@@ -89,125 +215,468 @@
  * For *Normal Rejects* it will return `data.getErrors()[0]` (see method $[batch]),
  * and `error` value for the *Internal Rejects*.
  */
-function page(source, dest, limit) {
+function page(source, dest, limit, stepTimeout, timeout, rate, checkpoint, startIndex, initialData, initialTotal,
+              prefetch, initialCursor, tolerant, onPageError, adaptive, maxItems, track, control) {
 
+    var iterator = null;
     if (typeof source !== 'function') {
-        throw new TypeError("Invalid page source.");
+        iterator = $utils.getIterator(source);
+        if (!iterator) {
+            throw new TypeError("Invalid page source.");
+        }
+        source = $utils.iteratorSource(iterator);
     }
 
     limit = (limit > 0) ? parseInt(limit) : 0;
+    stepTimeout = (stepTimeout > 0) ? parseInt(stepTimeout) : 0;
+    timeout = (timeout > 0) ? parseInt(timeout) : 0;
+    rate = $utils.parseRate(rate);
+    startIndex = (startIndex > 0) ? parseInt(startIndex) : 0;
+    prefetch = (prefetch > 0) ? parseInt(prefetch) : 0;
+    onPageError = typeof onPageError === 'function' ? onPageError : null;
+    adaptive = parseAdaptive(adaptive);
+    maxItems = (maxItems > 0) ? parseInt(maxItems) : 0;
     source = $utils.wrap(source);
     dest = $utils.wrap(dest);
 
-    var self = this, request, srcTime, destTime, start = Date.now(), total = 0;
+    var self = this, request = initialData, cursor = initialCursor, srcTime, destTime, start = Date.now(),
+        total = (initialTotal > 0) ? parseInt(initialTotal) : 0, fetched = total, items = [];
 
     return $p(function (resolve, reject) {
 
-        function loop(idx) {
-            var srcNow = Date.now(),
-                srcDelay = idx ? (srcNow - srcTime) : undefined;
-            srcTime = srcNow;
-            $utils.resolve.call(self, source, [idx, request, srcDelay], function (value) {
-                if (value === undefined) {
-                    success();
-                } else {
-                    if (value instanceof Array) {
-                        $spex.batch(value)
-                            .then(function (data) {
-                                request = data;
-                                total += data.length;
-                                if (dest) {
-                                    var destResult, destNow = Date.now(),
-                                        destDelay = idx ? (destNow - destTime) : undefined;
-                                    destTime = destNow;
-                                    try {
-                                        destResult = dest.call(self, idx, data, destDelay);
-                                    } catch (err) {
-                                        fail({
-                                            error: err,
-                                            dest: data
-                                        });
-                                        return;
+        var next = startIndex, head = startIndex, buffer = {}, sources = {}, timers = {}, steps = 0,
+            failedPages = [], pageErrors = [], sizes = [], size = adaptive ? adaptive.initial : undefined,
+            waitTimer, current, pumping, repeat, fetching, busy, stopped, paused, finished,
+            deadline = timeout ? setTimeout(expire, timeout) : null;
+
+        if (control) {
+            control.pause = function () {
+                paused = true;
+            };
+            control.resume = function () {
+                if (paused && !finished) {
+                    paused = false;
+                    pump();
+                }
+            };
+            control.cancel = function (reason) {
+                if (!finished) {
+                    halt(reason);
+                }
+            };
+        }
+
+        if ((limit && startIndex >= limit) || (maxItems && total >= maxItems)) {
+            success(startIndex); // resumed at or past the limit;
+            return;
+        }
+
+        pump();
+
+        // delivers fetched pages in the index order, and fetches new ones while possible;
+        function pump() {
+            if (pumping) {
+                repeat = true;
+                return;
+            }
+            pumping = true;
+            do {
+                repeat = false;
+                while (!finished && !paused && !busy && head in buffer) {
+                    deliver(head);
+                }
+                if (!finished && !paused && !stopped && !fetching && next - head <= prefetch &&
+                    (!limit || next < limit)) {
+                    fetch(next++);
+                }
+            } while (repeat && !finished);
+            pumping = false;
+        }
+
+        // requests the page from the source, and resolves it as a batch;
+        function fetch(idx) {
+            var srcData = request, srcCursor = cursor, srcSize = size,
+                wait = rate ? $utils.reserve(rate) : 0, held;
+            sources[idx] = srcData;
+            fetching = true;
+            if (wait) {
+                held = Date.now();
+                waitTimer = setTimeout(load, wait);
+            } else {
+                load();
+            }
+
+            function load() {
+                var srcNow = Date.now(),
+                    srcWait = held === undefined ? 0 : (srcNow - held), // the actual time held back;
+                    srcDelay = srcTime === undefined ? undefined : (srcNow - srcTime),
+                    end = begin(function () {
+                        arrive(idx, {
+                            error: new TimeoutError("Source request timed out.", idx, Date.now() - srcNow),
+                            source: srcData
+                        });
+                    });
+                srcTime = srcNow;
+                $utils.resolve.call(self, source, [idx, srcData, srcDelay, 1, srcWait, srcCursor, srcSize], function (value) {
+                    if (!end()) {
+                        return;
+                    }
+                    if (value === undefined) {
+                        arrive(idx, {end: true});
+                    } else {
+                        var r = {size: srcSize};
+                        if (value && typeof value === 'object' && value.items instanceof Array) {
+                            // a cursor page, which is the last one without the next cursor;
+                            cursor = r.cursor = value.next;
+                            r.last = cursor === undefined || cursor === null;
+                            value = value.items;
+                        }
+                        if (value instanceof Array) {
+                            if (maxItems) {
+                                if (value.length >= maxItems - fetched) {
+                                    value = value.slice(0, maxItems - fetched); // the final page;
+                                    r.last = true;
+                                }
+                                fetched += value.length;
+                            }
+                            var batchNow = Date.now();
+                            end = begin();
+                            $spex.batch(value, stepTimeout ? {deadline: stepTimeout} : undefined)
+                                .then(function (data) {
+                                    if (end()) {
+                                        r.time = Date.now() - batchNow;
+                                        request = data;
+                                        r.value = data;
+                                        arrive(idx, r);
                                     }
-                                    if ($utils.isPromise(destResult)) {
-                                        destResult
-                                            .then(next)
-                                            .catch(function (error) {
-                                                fail({
-                                                    error: error,
-                                                    dest: data
-                                                });
-                                            });
-                                    } else {
-                                        next();
+                                })
+                                .catch(function (error) {
+                                    if (end()) {
+                                        r.time = Date.now() - batchNow;
+                                        if (tolerant) {
+                                            request = error; // the failed page is passed on;
+                                            r.value = error;
+                                            r.failed = true;
+                                            arrive(idx, r);
+                                        } else {
+                                            arrive(idx, {data: error});
+                                        }
                                     }
-                                } else {
-                                    next();
-                                }
-                            })
-                            .catch(function (error) {
-                                fail({
-                                    data: error
                                 });
+                        } else {
+                            arrive(idx, {
+                                error: "Unexpected data returned from the source.",
+                                source: srcData
                             });
-                    } else {
-                        fail({
-                            error: "Unexpected data returned from the source.",
-                            source: request
+                        }
+                    }
+                }, function (reason) {
+                    if (end()) {
+                        arrive(idx, {
+                            error: reason,
+                            source: srcData
                         });
                     }
-                }
-            }, function (reason) {
-                fail({
-                    error: reason,
-                    source: request
                 });
-            });
+            }
+        }
 
-            function next() {
-                if (limit === ++idx) {
-                    success();
+        function arrive(idx, r) {
+            if (finished) {
+                return;
+            }
+            fetching = false;
+            buffer[idx] = r;
+            if (!('value' in r) || r.last) {
+                stopped = true; // no more pages after this one;
+                if (r.last) {
+                    buffer[idx + 1] = {end: true};
+                }
+            }
+            pump();
+        }
+
+        function deliver(idx) {
+            var r = buffer[idx];
+            delete buffer[idx];
+            delete sources[idx];
+            if (r.end) {
+                success(idx);
+            } else if ('data' in r) {
+                fail({
+                    data: r.data
+                }, idx);
+            } else if ('error' in r) {
+                fail({
+                    error: r.error,
+                    source: r.source
+                }, idx);
+            } else {
+                if (r.failed && !tolerate(idx, r.value)) {
+                    return;
+                }
+                total += r.value.length;
+                if (track) {
+                    for (var i = 0; i < r.value.length; i++) {
+                        items.push(r.value[i]);
+                    }
+                }
+                if (dest) {
+                    notify(idx, r);
                 } else {
-                    loop(idx);
+                    complete(idx, r);
                 }
             }
+        }
 
-            function success() {
-                resolve({
-                    pages: idx,
-                    total: total,
-                    duration: Date.now() - start
-                });
+        // records the failed page, and reports it, returning false when it cannot be tolerated;
+        function tolerate(idx, data) {
+            var errors = data.getErrors();
+            failedPages.push(idx);
+            pageErrors.push({
+                index: idx,
+                failed: errors.length,
+                errors: errors
+            });
+            if (onPageError) {
+                try {
+                    onPageError.call(self, idx, data);
+                } catch (e) {
+                    fail({
+                        error: e,
+                        dest: data
+                    }, idx);
+                    return false;
+                }
             }
+            return true;
+        }
 
-            function fail(reason) {
-                reason.index = idx;
-                $utils.extend(reason, 'getError', function () {
-                    return ('data' in reason) ? reason.data.getErrors()[0] : reason.error;
+        // passes the page into the destination;
+        function notify(idx, r) {
+            var data = r.value, destResult, destNow = Date.now(),
+                destDelay = destTime === undefined ? undefined : (destNow - destTime);
+            destTime = destNow;
+            try {
+                destResult = dest.call(self, idx, data, destDelay);
+            } catch (err) {
+                fail({
+                    error: err,
+                    dest: data
+                }, idx);
+                return;
+            }
+            if ($utils.isPromise(destResult)) {
+                busy = true;
+                current = data;
+                var end = begin(function () {
+                    var duration = Date.now() - destNow;
+                    fail({
+                        error: new TimeoutError("Destination request timed out.", idx, duration),
+                        dest: data
+                    }, idx);
                 });
-                reject(reason);
+                destResult
+                    .then(function () {
+                        if (end()) {
+                            busy = false;
+                            r.time += Date.now() - destNow;
+                            complete(idx, r);
+                            pump();
+                        }
+                    })
+                    .catch(function (error) {
+                        if (end()) {
+                            fail({
+                                error: error,
+                                dest: data
+                            }, idx);
+                        }
+                    });
+            } else {
+                r.time += Date.now() - destNow;
+                complete(idx, r);
+            }
+        }
+
+        // the page has been processed;
+        function complete(idx, r) {
+            if (checkpoint) {
+                var state = {index: idx, data: r.value, total: total};
+                if ('cursor' in r) {
+                    state.cursor = r.cursor;
+                }
+                try {
+                    checkpoint.call(self, state);
+                } catch (e) {
+                    fail({
+                        error: e,
+                        dest: r.value
+                    }, idx);
+                    return;
+                }
+            }
+            if (adaptive) {
+                adapt(r);
+            }
+            if (limit === ++head) {
+                success(head);
+            }
+        }
+
+        // suggests the size of the next page, from the time it took to resolve and process the page;
+        function adapt(r) {
+            var count = r.value.length;
+            sizes.push(r.size);
+            if (count) {
+                var ratio = Math.min(adaptive.target / Math.max(r.time, 1), 2); // at most doubling;
+                size = Math.min(Math.max(Math.round(count * ratio), adaptive.min), adaptive.max);
+            }
+        }
+
+        // starts a new step, with optional timeout, and returns a function to end it,
+        // which returns false when the step is already over, or the method has finished;
+        function begin(onTimeout) {
+            var id = ++steps, over;
+            if (stepTimeout && onTimeout) {
+                timers[id] = setTimeout(function () {
+                    delete timers[id];
+                    if (!over && !finished) {
+                        over = true;
+                        onTimeout();
+                    }
+                }, stepTimeout);
             }
+            return function () {
+                if (over || finished) {
+                    return false;
+                }
+                over = true;
+                clearTimeout(timers[id]);
+                delete timers[id];
+                return true;
+            };
         }
 
-        loop(0);
+        // the method has run out of time;
+        function expire() {
+            halt(new TimeoutError("Page sequence timed out.", head, Date.now() - start));
+        }
+
+        // terminates the method at the page that is due next;
+        function halt(error) {
+            var reason = {
+                error: error
+            };
+            if (busy) {
+                reason.dest = current;
+            } else {
+                reason.source = sources[head];
+            }
+            fail(reason, head);
+        }
+
+        function success(pages) {
+            stop();
+            var result, duration = Date.now() - start;
+            if (track) {
+                result = items;
+                $utils.extend(result, 'duration', duration);
+                if (tolerant) {
+                    $utils.extend(result, 'failedPages', failedPages);
+                    $utils.extend(result, 'pageErrors', pageErrors);
+                }
+                if (adaptive) {
+                    $utils.extend(result, 'sizes', sizes);
+                }
+            } else {
+                result = {
+                    pages: pages,
+                    total: total,
+                    duration: duration
+                };
+                if (tolerant) {
+                    result.failedPages = failedPages;
+                    result.pageErrors = pageErrors;
+                }
+                if (adaptive) {
+                    result.sizes = sizes;
+                }
+            }
+            resolve(result);
+        }
+
+        function fail(reason, idx) {
+            stop();
+            reason.index = idx;
+            $utils.extend(reason, 'getError', function () {
+                return ('data' in reason) ? reason.data.getErrors()[0] : reason.error;
+            });
+            reject(reason);
+        }
+
+        function stop() {
+            finished = true;
+            for (var id in timers) {
+                clearTimeout(timers[id]);
+            }
+            clearTimeout(waitTimer);
+            clearTimeout(deadline);
+            if (iterator) {
+                $utils.close(iterator);
+            }
+        }
     });
 }
 
 ///////////////////////////////////
 // object-to-parameters converter;
-function _page(source, dest, limit) {
+function _page(source, dest, limit, stepTimeout, timeout, rate) {
     if (dest && typeof dest === 'object') {
-        return page.call(this, source, dest.dest, dest.limit);
+        return controlled.call(this, source, dest);
     } else {
-        return page.call(this, source, dest, limit);
+        return page.call(this, source, dest, limit, stepTimeout, timeout, rate);
     }
 }
 
+/////////////////////////////////////////////////////////
+// Runs paging from an options object, with an optional
+// controller, for methods page.start and page.iterate;
+function controlled(source, options, control) {
+    return page.call(this, source, options.dest, options.limit, options.stepTimeout, options.timeout,
+        options.rate, options.checkpoint, options.startIndex, options.initialData, options.initialTotal,
+        options.prefetch, options.initialCursor, options.tolerant, options.onPageError, options.adaptive,
+        options.maxItems, options.track, control);
+}
+
+//////////////////////////////////////////////////////
+// Parses the adaptive sizing option, or returns null,
+// if no target latency is specified.
+function parseAdaptive(adaptive) {
+    if (!adaptive || typeof adaptive !== 'object' || !(adaptive.target > 0)) {
+        return null;
+    }
+    var min = adaptive.min > 0 ? parseInt(adaptive.min) : 1,
+        max = adaptive.max >= min ? parseInt(adaptive.max) : Math.max(min, 1000),
+        initial = adaptive.initial > 0 ? parseInt(adaptive.initial) : min;
+    return {
+        target: +adaptive.target,
+        min: min,
+        max: max,
+        initial: Math.min(Math.max(initial, min), max)
+    };
+}
+
+var TimeoutError = require('../timeout');
+
 var $spex, $utils, $p;
 
 module.exports = function (config) {
     $spex = config.spex;
     $utils = config.utils;
     $p = config.promise;
-    return _page;
+    return {
+        page: _page,
+        controlled: controlled
+    };
 };
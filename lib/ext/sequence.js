@@ -5,7 +5,8 @@
  * @summary Resolves a dynamic sequence of $[mixed values].
  * @description
  * **Alternative Syntax:**
- * `sequence(source, {dest, limit, track})` &#8658; `Promise`
+ * `sequence(source, {dest, limit, track, concurrency, retry, stepTimeout, timeout, rate, checkpoint,
+ * startIndex, initialData, reduce, initial})` &#8658; `Promise`
  *
  * Acquires $[mixed values] from the source function, one at a time, and resolves them,
  * till either no more values left in the sequence or an error/reject occurs.
@@ -13,24 +14,35 @@
  *
  * <img src="../images/sequence.png" width="561px" height="193px" alt="sequence">
  *
- * @param {Function|generator} source
+ * @param {Function|generator|Iterable|AsyncIterable} source
  * Expected to return the next $[mixed value] to be resolved. Returning or resolving
  * with `undefined` ends the sequence, and the method resolves.
  *
  * Parameters:
  *  - `index` = current request index in the sequence
- *  - `data` = resolved data from the previous call (`undefined` when `index=0`)
- *  - `delay` = number of milliseconds since the last call (`undefined` when `index=0`)
+ *  - `data` = resolved data from the previous call (`initialData` for the first call)
+ *  - `delay` = number of milliseconds since the last call (`undefined` for the first call)
+ *  - `attempt` = attempt number for the index, starting with 1 (see parameter `retry`)
+ *  - `wait` = number of milliseconds the call was held back by the rate limit (see parameter `rate`)
  *
  * The function is called with the same `this` context as the calling method.
  *
+ * When option `concurrency` is greater than 1, `data` is the last data delivered in the index order
+ * by the time of the call, which may not be from the previous index.
+ *
  * If the function throws an error or returns a rejected promise, the sequence terminates,
  * and the method rejects with object `{index, error, source}`:
  *  - `index` = index of the request that failed
  *  - `error` = the error thrown or the rejection reason
  *  - `source` = resolved `data` that was passed into the function
  *
- * Passing in anything other than a function will throw `Invalid sequence source.`
+ * Alternatively, it can be a sync or async iterator or iterable (such as a generator object, a database
+ * cursor or a `readline` interface), with each value taken from the iteration. The sequence ends when the
+ * iteration is finished, or yields `undefined`, and if the iteration throws an error or its async `next()`
+ * rejects, the method rejects with the same `{index, error, source}` object. When the method finishes
+ * before the iteration does, the iterator is closed.
+ *
+ * Passing in anything other than a function or an iterable will throw `Invalid sequence source.`
  *
  * @param {Function|generator} [dest]
  * Optional destination function (or generator), to receive resolved data for each index,
@@ -39,13 +51,16 @@
  * Parameters:
  *  - `index` = index of the resolved data in the sequence
  *  - `data` = the data resolved
- *  - `delay` = number of milliseconds since the last call (`undefined` when `index=0`)
+ *  - `delay` = number of milliseconds since the last call (`undefined` for the first call)
+ *  - `attempt` = attempt number for the index, starting with 1 (see parameter `retry`)
  *
  * The function is called with the same `this` context as the calling method.
  *
  * It can optionally return a promise object, if data processing is done asynchronously.
  * If a promise is returned, the method will not request another value from the `source` function,
- * until the promise has been resolved.
+ * until the promise has been resolved (with option `concurrency` - it holds only one request slot).
+ *
+ * The function is always called in the index order.
  *
  * If the function throws an error or returns a rejected promise, the sequence terminates,
  * and the method rejects with object `{index, error, dest}`:
@@ -70,9 +85,102 @@
  * It must be used with caution, as to the size of the sequence, because accumulating data for
  * a very large sequence can result in consuming too much memory.
  *
+ * @param {Number} [concurrency=1]
+ * Maximum number of values from `source` to be resolving at the same time, intended for
+ * [detached sequencing](../concept/sequencing.md), where `source` doesn't depend on the previous data.
+ *
+ * When greater than 1, the method calls `source` for the next indexes without waiting for the previous
+ * values to resolve, while still delivering the resolved values to `dest` and `track` in the index order.
+ * A request slot is freed only once the value has been processed by `dest`.
+ *
+ * The sequence ends at the first index for which `source` returns or resolves with `undefined`,
+ * or fails, ignoring the values for any indexes after it that have been requested by then.
+ *
+ * @param {Number|Object} [retry]
+ * Retry policy for failed calls into `source` and `dest`, which are then repeated for the same index
+ * and with the same `data`, after an exponentially growing delay.
+ *
+ * It is either the number of retries, or an object `{retries, minDelay, maxDelay, factor, jitter, shouldRetry}`,
+ * same as for method $[batch]:
+ *  - `retries` = maximum number of retries for each call
+ *  - `minDelay` = number of milliseconds to wait before the first retry (default = 100)
+ *  - `maxDelay` = maximum number of milliseconds to wait before any retry (default = 10000)
+ *  - `factor` = multiplier for the delay after each retry (default = 2)
+ *  - `jitter` = fraction of the delay, from 0 to 1, by which it is reduced randomly (default = 0)
+ *  - `shouldRetry` = optional function `(error, index, attempt)` that returns a truthy value to retry
+ *  the call, called with the same `this` context as the calling method. If it throws an error,
+ *  the sequence fails with that error.
+ *
+ * The method rejects only after all retries for a call have failed, and then the rejection object
+ * also has property `errors` - the list of errors from all the attempts.
+ *
+ * When `source` is an iterator or iterable, its failures are never retried, because an iteration step
+ * cannot be repeated, and the method rejects on the first error, with `errors` holding just that error.
+ *
+ * @param {Number} [stepTimeout=0]
+ * Maximum number of milliseconds for each value from `source` to resolve, and for each promise returned
+ * from `dest` to resolve. When greater than 0, a step that takes longer fails with a $[TimeoutError],
+ * with `message` = `Source request timed out.` or `Destination request timed out.`, plus the `index`
+ * and the `duration` of the step, and the method rejects with the usual `{index, error, source}` or
+ * `{index, error, dest}` object. Any result of the step after the timeout is ignored.
+ *
+ * When used together with `retry`, each attempt has its own timeout, and a timed out attempt can be retried.
+ *
+ * @param {Number} [timeout=0]
+ * Maximum number of milliseconds for the entire sequence. When greater than 0, and the time runs out,
+ * the method stops requesting values from `source`, and rejects with an object for the index that is
+ * due next, same as for a failure in that step, with `error` set to a $[TimeoutError], with
+ * `message` = `Sequence timed out.`, plus the `index` and the `duration` of the method:
+ *  - `{index, error, dest}` - when `dest` is processing the data for the index
+ *  - `{index, error, source}` - in all other cases
+ *
+ * @param {Object} [rate]
+ * Rate limit for calling `source`, as a token bucket that allows short bursts within the limit:
+ *  - `{perSecond}` - maximum number of calls per second
+ *  - `{count, interval}` - maximum number of calls per `interval` milliseconds
+ *
+ * When a call would exceed the limit, it is held back till the limit allows it, and the number of
+ * milliseconds it was held back is passed into `source` as parameter `wait`, while parameter `delay`
+ * continues to report the time since the last call, including the wait. Retries count towards the limit.
+ *
+ * @param {Function} [checkpoint]
+ * Optional function to be called with object `{index, data}` after the data for each index has been
+ * successfully processed by `dest` (or resolved, when there is no `dest`), to persist the progress,
+ * so the sequence can be resumed from it later, via `startIndex` = `index + 1` and `initialData` = `data`.
+ *
+ * The function is called with the same `this` context as the calling method, and if it throws an error,
+ * the method rejects the same as when `dest` fails.
+ *
+ * @param {Number} [startIndex=0]
+ * Index from which to start (resume) the sequence. Parameters `limit` and the resolved `total`
+ * include all the indexes before it, while `track` and `duration` cover only the new work.
+ *
+ * @param {*} [initialData]
+ * Data to be passed into the first call to `source`, as if it was resolved by the previous index.
+ *
+ * @param {Function} [reduce]
+ * Optional reducer function `(acc, data, index)`, to fold the resolved data in the index order,
+ * as it arrives, without collecting it in memory, like `track` does:
+ *  - `acc` = the accumulator, as returned from the previous call (`initial` for the first call)
+ *  - `data` = resolved data for the index
+ *  - `index` = index of the data in the sequence
+ *
+ * The function is called with the same `this` context as the calling method, before the data is passed
+ * into `dest`. When the function is specified, parameter `track` is ignored, and the method resolves
+ * with the final accumulator.
+ *
+ * If the function throws an error, the sequence terminates, and the method rejects the same as when `dest` fails.
+ *
+ * @param {*} [initial]
+ * Initial value of the accumulator for the `reduce` function.
+ *
  * @returns {Promise}
- * When successful, the resolved data depends on parameter `track`. When `track` is `false`
- * (default), the method resolves with object `{total, duration}`:
+ * When successful, the resolved data depends on parameters `reduce` and `track`. When `reduce` is specified,
+ * the method resolves with the final accumulator, which when it is an extensible object without its own
+ * property `duration`, comes extended with read-only property `duration` - number of milliseconds consumed
+ * by the method. Simple values, and objects that are frozen, sealed or already have `duration`, are left unchanged.
+ *
+ * Otherwise, when `track` is `false` (default), the method resolves with object `{total, duration}`:
  *  - `total` = number of values resolved by the sequence
  *  - `duration` = number of milliseconds consumed by the method
  *
@@ -82,121 +190,406 @@
  *
  * When the method fails, the reject result depends on which function caused the failure - `source`
  * or `dest`. See the two parameters for the rejection details.
+ *
+ * In addition, the reject object is extended with read-only properties for the work done by then:
+ *  - `total` = number of values that have been successfully processed (same as in the resolved object)
+ *  - `duration` = number of milliseconds consumed by the method
+ *  - `data` = array of the data for those values, only when `track` is `true` (and `reduce` isn't used)
  */
-function sequence(source, dest, limit, track) {
+function sequence(source, dest, limit, track, concurrency, retry, stepTimeout, timeout, rate, checkpoint, startIndex,
+                  initialData, reduce, initial, control) {
 
+    var iterator = null;
     if (typeof source !== 'function') {
-        throw new TypeError("Invalid sequence source.");
+        iterator = $utils.getIterator(source);
+        if (!iterator) {
+            throw new TypeError("Invalid sequence source.");
+        }
+        source = $utils.iteratorSource(iterator);
     }
 
     limit = (limit > 0) ? parseInt(limit) : 0;
+    concurrency = (concurrency > 0) ? parseInt(concurrency) : 1;
+    retry = $utils.parseRetry(retry);
+    stepTimeout = (stepTimeout > 0) ? parseInt(stepTimeout) : 0;
+    timeout = (timeout > 0) ? parseInt(timeout) : 0;
+    rate = $utils.parseRate(rate);
+    startIndex = (startIndex > 0) ? parseInt(startIndex) : 0;
     source = $utils.wrap(source);
     dest = $utils.wrap(dest);
+    reduce = typeof reduce === 'function' ? reduce : null;
 
-    var self = this, data, srcTime, destTime, result = [], start = Date.now();
+    var self = this, data = initialData, srcTime, destTime, result = [], acc = initial, start = Date.now();
 
     return $p(function (resolve, reject) {
 
-        function loop(idx) {
-            var srcNow = Date.now(),
-                srcDelay = idx ? (srcNow - srcTime) : undefined;
-            srcTime = srcNow;
-            $utils.resolve.call(self, source, [idx, data, srcDelay], function (value, delayed) {
-                data = value;
-                if (data === undefined) {
-                    finish();
+        var next = startIndex, head = startIndex, active = 0, buffer = {}, sources = {}, pauses = {}, steps = {},
+            destTimer, destStep, pumping, repeat, busy, stopped, paused, finished,
+            deadline = timeout ? setTimeout(expire, timeout) : null;
+
+        if (control) {
+            control.pause = function () {
+                paused = true;
+            };
+            control.resume = function () {
+                if (paused && !finished) {
+                    paused = false;
+                    pump();
+                }
+            };
+            control.cancel = function (reason) {
+                if (!finished) {
+                    halt(reason);
+                }
+            };
+        }
+
+        if (limit && head >= limit) {
+            finish(head); // resumed at or past the limit;
+            return;
+        }
+
+        pump();
+
+        // delivers resolved values in the index order, and requests new ones while possible;
+        function pump() {
+            if (pumping) {
+                repeat = true; // values that resolve synchronously are picked up by the loop;
+                return;
+            }
+            pumping = true;
+            do {
+                repeat = false;
+                while (!finished && !paused && !busy && head in buffer) {
+                    deliver(head);
+                }
+                while (!finished && !paused && !stopped && active < concurrency && (!limit || next < limit)) {
+                    request(next++);
+                }
+            } while (repeat && !finished);
+            pumping = false;
+        }
+
+        function request(idx) {
+            var srcData = data, errors = retry ? [] : null;
+            sources[idx] = srcData;
+            active++;
+            throttle(1);
+
+            // holds back the source call, if required by the rate limit;
+            function throttle(n) {
+                var wait = rate ? $utils.reserve(rate) : 0;
+                if (wait) {
+                    var held = Date.now();
+                    pauses[idx] = setTimeout(function () {
+                        delete pauses[idx];
+                        attempt(n, Date.now() - held); // the actual time held back;
+                    }, wait);
                 } else {
-                    if (track) {
-                        result.push(data);
+                    attempt(n, 0);
+                }
+            }
+
+            function attempt(n, wait) {
+                var srcNow = Date.now(), over,
+                    srcDelay = srcTime === undefined ? undefined : (srcNow - srcTime);
+                srcTime = srcNow;
+                if (stepTimeout) {
+                    steps[idx] = setTimeout(function () {
+                        failed(new TimeoutError("Source request timed out.", idx, Date.now() - srcNow));
+                    }, stepTimeout);
+                }
+                $utils.resolve.call(self, source, [idx, srcData, srcDelay, n, wait], function (value) {
+                    if (end()) {
+                        arrive(idx, {value: value});
+                    }
+                }, failed);
+
+                // ends the attempt, ignoring anything after a timeout;
+                function end() {
+                    if (over) {
+                        return false;
                     }
-                    if (dest) {
-                        var destResult, destNow = Date.now(),
-                            destDelay = idx ? (destNow - destTime) : undefined;
-                        destTime = destNow;
+                    over = true;
+                    if (stepTimeout) {
+                        clearTimeout(steps[idx]);
+                        delete steps[idx];
+                    }
+                    return true;
+                }
+
+                function failed(reason) {
+                    if (!end() || finished) {
+                        return;
+                    }
+                    if (retry) {
+                        errors.push(reason);
+                        var again;
                         try {
-                            destResult = dest.call(self, idx, data, destDelay);
+                            again = !iterator && retrying(reason, idx, n); // iteration steps cannot be repeated;
                         } catch (e) {
-                            reject({
-                                index: idx,
-                                error: e,
-                                dest: data
-                            });
-                            return;
+                            reason = e;
                         }
-                        if ($utils.isPromise(destResult)) {
-                            destResult
-                                .then(function () {
-                                    next(true);
-                                })
-                                .catch(function (error) {
-                                    reject({
-                                        index: idx,
-                                        error: error,
-                                        dest: data
-                                    });
-                                });
-                        } else {
-                            next(delayed);
+                        if (again) {
+                            pauses[idx] = setTimeout(function () {
+                                delete pauses[idx];
+                                throttle(n + 1);
+                            }, $utils.backoff(retry, n));
+                            return;
                         }
-                    } else {
-                        next(delayed);
                     }
+                    arrive(idx, {error: reason, source: srcData, errors: errors});
                 }
-            }, function (reason) {
-                reject({
+            }
+        }
+
+        function arrive(idx, r) {
+            if (finished) {
+                return;
+            }
+            if ('error' in r || r.value === undefined) {
+                stopped = true; // the sequence ends at this index or sooner;
+            }
+            buffer[idx] = r;
+            pump();
+        }
+
+        function deliver(idx) {
+            var r = buffer[idx];
+            delete buffer[idx];
+            delete sources[idx];
+            if ('error' in r) {
+                fail({
                     index: idx,
-                    error: reason,
-                    source: data
-                });
-            });
-
-            function next(delayed) {
-                if (limit === ++idx) {
-                    finish();
-                } else {
-                    if (delayed) {
-                        loop(idx);
-                    } else {
-                        $p.resolve()
-                            .then(function () {
-                                loop(idx);
-                            });
+                    error: r.error,
+                    source: r.source
+                }, r.errors);
+                return;
+            }
+            data = r.value;
+            if (data === undefined) {
+                finish(idx);
+                return;
+            }
+            if (reduce) {
+                try {
+                    acc = reduce.call(self, acc, data, idx);
+                } catch (e) {
+                    fail({
+                        index: idx,
+                        error: e,
+                        dest: data
+                    });
+                    return;
+                }
+            } else if (track) {
+                result.push(data);
+            }
+            if (dest) {
+                notify(idx, data, retry ? [] : null, 1);
+            } else {
+                advance();
+            }
+        }
+
+        // passes data into the destination, repeating the call on retries;
+        function notify(idx, value, errors, n) {
+            var destResult, destNow = Date.now(), over,
+                destDelay = destTime === undefined ? undefined : (destNow - destTime);
+            destTime = destNow;
+            try {
+                destResult = dest.call(self, idx, value, destDelay, n);
+            } catch (e) {
+                failed(e);
+                return;
+            }
+            if ($utils.isPromise(destResult)) {
+                busy = true;
+                if (stepTimeout) {
+                    destStep = setTimeout(function () {
+                        failed(new TimeoutError("Destination request timed out.", idx, Date.now() - destNow));
+                    }, stepTimeout);
+                }
+                destResult
+                    .then(function () {
+                        if (end()) {
+                            busy = false;
+                            advance();
+                            pump();
+                        }
+                    })
+                    .catch(failed);
+            } else if (n > 1) {
+                busy = false; // after a retry;
+                advance();
+                pump();
+            } else {
+                advance();
+            }
+
+            // ends the call, ignoring anything after a timeout;
+            function end() {
+                if (over) {
+                    return false;
+                }
+                over = true;
+                clearTimeout(destStep);
+                return true;
+            }
+
+            function failed(error) {
+                if (!end() || finished) {
+                    return;
+                }
+                if (retry) {
+                    errors.push(error);
+                    var again;
+                    try {
+                        again = retrying(error, idx, n);
+                    } catch (e) {
+                        error = e;
+                    }
+                    if (again) {
+                        busy = true;
+                        destTimer = setTimeout(function () {
+                            notify(idx, value, errors, n + 1);
+                        }, $utils.backoff(retry, n));
+                        return;
                     }
                 }
+                fail({
+                    index: idx,
+                    error: error,
+                    dest: value
+                }, errors);
             }
+        }
 
-            function finish() {
-                var length = Date.now() - start;
-                if (track) {
+        // decides whether a failed attempt is to be retried;
+        // throws the error when `shouldRetry` throws one;
+        function retrying(error, idx, n) {
+            return !finished && n <= retry.retries &&
+                (!retry.shouldRetry || !!retry.shouldRetry.call(self, error, idx, n));
+        }
+
+        function advance() {
+            active--;
+            if (checkpoint) {
+                try {
+                    checkpoint.call(self, {index: head, data: data});
+                } catch (e) {
+                    fail({
+                        index: head,
+                        error: e,
+                        dest: data
+                    });
+                    return;
+                }
+            }
+            if (limit === ++head) {
+                finish(head);
+            }
+        }
+
+        function finish(total) {
+            stop();
+            var length = Date.now() - start;
+            if (reduce) {
+                result = acc;
+                if (result && (typeof result === 'object' || typeof result === 'function') &&
+                    Object.isExtensible(result) && !Object.prototype.hasOwnProperty.call(result, 'duration')) {
                     $utils.extend(result, 'duration', length);
-                } else {
-                    result = {
-                        total: idx,
-                        duration: length
-                    }
                 }
-                resolve(result);
+            } else if (track) {
+                $utils.extend(result, 'duration', length);
+            } else {
+                result = {
+                    total: total,
+                    duration: length
+                }
+            }
+            resolve(result);
+        }
+
+        function fail(reason, errors) {
+            stop();
+            if (errors) {
+                reason.errors = errors;
             }
+            if (track && !reduce) {
+                $utils.extend(reason, 'data', result.slice(0, head - startIndex));
+            }
+            $utils.extend(reason, 'total', head);
+            $utils.extend(reason, 'duration', Date.now() - start);
+            reject(reason);
+        }
+
+        // the sequence has run out of time;
+        function expire() {
+            halt(new TimeoutError("Sequence timed out.", head, Date.now() - start));
         }
 
-        loop(0);
+        // terminates the sequence at the index that is due next;
+        function halt(error) {
+            var reason = {
+                index: head,
+                error: error
+            };
+            if (busy) {
+                reason.dest = data;
+            } else {
+                reason.source = sources[head];
+            }
+            fail(reason);
+        }
+
+        function stop() {
+            finished = true;
+            var idx;
+            for (idx in pauses) {
+                clearTimeout(pauses[idx]);
+            }
+            for (idx in steps) {
+                clearTimeout(steps[idx]);
+            }
+            clearTimeout(destTimer);
+            clearTimeout(destStep);
+            clearTimeout(deadline);
+            if (iterator) {
+                $utils.close(iterator);
+            }
+        }
     });
 }
 
 ///////////////////////////////////
 // object-to-parameters converter;
-function _sequence(source, dest, limit, track) {
+function _sequence(source, dest, limit, track, concurrency, retry, stepTimeout, timeout, rate) {
     if (dest && typeof dest === 'object') {
-        return sequence.call(this, source, dest.dest, dest.limit, dest.track);
+        return controlled.call(this, source, dest);
     } else {
-        return sequence.call(this, source, dest, limit, track);
+        return sequence.call(this, source, dest, limit, track, concurrency, retry, stepTimeout, timeout, rate);
     }
 }
 
+/////////////////////////////////////////////////////////////
+// Runs the sequence from an options object, with an optional
+// controller, for methods sequence.start and sequence.iterate;
+function controlled(source, options, control) {
+    return sequence.call(this, source, options.dest, options.limit, options.track, options.concurrency,
+        options.retry, options.stepTimeout, options.timeout, options.rate, options.checkpoint, options.startIndex,
+        options.initialData, options.reduce, options.initial, control);
+}
+
+var TimeoutError = require('../timeout');
+
 var $utils, $p;
 
 module.exports = function (config) {
     $utils = config.utils;
     $p = config.promise;
-    return _sequence;
+    return {
+        sequence: _sequence,
+        controlled: controlled
+    };
 };
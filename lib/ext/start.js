@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * @method sequence.start
+ * @summary Starts a $[sequence] that can be paused, resumed and cancelled.
+ * @description
+ * **Alternative Syntax:**
+ * `sequence.start(source, {dest, limit, track, concurrency, retry, stepTimeout, timeout, rate, ...})` &#8658; `Object`
+ *
+ * Starts method $[sequence], and returns a controller for it, so it can be held back, for example,
+ * during peak hours, and then continued from where it stopped, with the same index and `data` chain.
+ *
+ * @param {Function|generator} source
+ * Same as for method $[sequence].
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the destination function or an object with the same options as method $[sequence].
+ *
+ * @returns {Object}
+ * Controller object `{promise, pause, resume, cancel}`:
+ *  - `promise` = promise returned from method $[sequence]
+ *  - `pause()` = stops requesting values from `source` and passing them into `dest`, letting the calls
+ *    in progress complete, and the sequence waits till it is resumed
+ *  - `resume()` = continues a paused sequence from the index that is due next
+ *  - `cancel(reason)` = terminates the sequence, rejecting with object `{index, error, source}`, or with
+ *    `{index, error, dest}` while `dest` is processing the data, as for option `timeout`, only with
+ *    `error` = `reason`
+ *
+ * The methods have no effect once the sequence has finished. Option `timeout` continues running
+ * while the sequence is paused.
+ *
+ * @see $[page.start]
+ */
+function startSequence(source, options) {
+    var control = {};
+    return controller($controlled.sequence.call(this, source, parseOptions(options), control), control);
+}
+
+/**
+ * @method page.start
+ * @summary Starts a $[page] sequence that can be paused, resumed and cancelled.
+ * @description
+ * **Alternative Syntax:**
+ * `page.start(source, {dest, limit, stepTimeout, timeout, rate, ...})` &#8658; `Object`
+ *
+ * Starts method $[page], and returns a controller for it, same as $[sequence.start].
+ *
+ * @param {Function|generator} source
+ * Same as for method $[page].
+ *
+ * @param {Function|generator|Object} [options]
+ * Either the destination function or an object with the same options as method $[page].
+ *
+ * @returns {Object}
+ * Controller object `{promise, pause, resume, cancel}`:
+ *  - `promise` = promise returned from method $[page]
+ *  - `pause()` = stops requesting pages from `source`, once the current page has been processed
+ *  - `resume()` = continues paused paging with the next page
+ *  - `cancel(reason)` = terminates the method with an *Internal Reject* for the current page,
+ *    as for option `timeout`, only with `error` = `reason`
+ *
+ * The methods have no effect once the method has finished. Option `timeout` continues running
+ * while paging is paused.
+ *
+ * @see $[sequence.start]
+ */
+function startPage(source, options) {
+    var control = {};
+    return controller($controlled.page.call(this, source, parseOptions(options), control), control);
+}
+
+//////////////////////////////////////////////////////
+// Copies the options, with a function used as `dest`;
+function parseOptions(options) {
+    var opt = {};
+    if (typeof options === 'function') {
+        opt.dest = options;
+    } else if (options && typeof options === 'object') {
+        for (var p in options) {
+            opt[p] = options[p];
+        }
+    }
+    return opt;
+}
+
+function controller(promise, control) {
+    return {
+        promise: promise,
+        pause: function () {
+            control.pause();
+        },
+        resume: function () {
+            control.resume();
+        },
+        cancel: function (reason) {
+            control.cancel(reason);
+        }
+    };
+}
+
+var $controlled;
+
+module.exports = function (config) {
+    $controlled = config.controlled;
+    return {
+        sequence: startSequence,
+        page: startPage
+    };
+};
@@ -38,7 +38,9 @@
  * @returns {Object}
  * Namespace with all supported methods.
  *
- * @see $[PromiseAdapter], $[batch], $[page], $[sequence], $[stream]
+ * @see $[PromiseAdapter], $[TimeoutError], $[batch], $[batch.props], $[batch.settle],
+ * $[batch.each], $[batch.any], $[batch.some], $[batch.majority], $[page], $[page.start], $[page.iterate],
+ * $[sequence], $[sequence.start], $[sequence.iterate], $[stream]
  */
 function main(promiseLib) {
 
@@ -53,8 +55,34 @@ function main(promiseLib) {
     config.utils = require('./utils')(config);
 
     spex.batch = require('./ext/batch')(config);
-    spex.page = require('./ext/page')(config);
-    spex.sequence = require('./ext/sequence')(config);
+    spex.batch.props = require('./ext/batch/props')(config);
+    spex.batch.settle = require('./ext/batch/settle')(config);
+    spex.batch.each = require('./ext/batch/each')(config);
+
+    var quorum = require('./ext/batch/quorum')(config);
+    spex.batch.any = quorum.any;
+    spex.batch.some = quorum.some;
+    spex.batch.majority = quorum.majority;
+
+    var page = require('./ext/page')(config);
+    spex.page = page.page;
+
+    var sequence = require('./ext/sequence')(config);
+    spex.sequence = sequence.sequence;
+
+    // internal entry points, to run with a controller;
+    config.controlled = {
+        page: page.controlled,
+        sequence: sequence.controlled
+    };
+
+    var start = require('./ext/start')(config);
+    spex.sequence.start = start.sequence;
+    spex.page.start = start.page;
+
+    var iterate = require('./ext/iterate')(config);
+    spex.sequence.iterate = iterate.sequence;
+    spex.page.iterate = iterate.page;
 
     spex.stream = {};
     spex.stream.read = require('./ext/stream/read')(config);
@@ -97,6 +125,7 @@ function parsePromiseLib(lib) {
 }
 
 main.PromiseAdapter = require('./adapter');
+main.TimeoutError = require('./timeout');
 Object.freeze(main);
 
 module.exports = main;
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * @name TimeoutError
+ * @summary Error used to report a timeout.
+ * @description
+ * Type of error that methods report when a value or a whole operation takes longer
+ * to settle than permitted by the corresponding timeout option.
+ *
+ * It inherits from the standard `Error` type, so it can be detected via
+ * `instanceof TimeoutError` or by its `name`.
+ *
+ * #### Example
+ *
+ * ```js
+ * var spexLib = require('spex');
+ * var spex = spexLib(Promise);
+ *
+ * spex.batch(values, {timeout: 1000})
+ *     .catch(function (reason) {
+ *         var error = reason.getErrors()[0];
+ *         if (error instanceof spexLib.TimeoutError) {
+ *             // a value failed to settle within 1 second;
+ *         }
+ *     });
+ * ```
+ *
+ * @param {String} message
+ * Error message.
+ *
+ * @param {Number} index
+ * Index of the value, or of the $[sequence] / $[page] step that timed out.
+ *
+ * @param {Number} duration
+ * Number of milliseconds that elapsed before the timeout occurred.
+ *
+ * @property {String} name
+ * Error name - `TimeoutError`.
+ *
+ * @property {String} message
+ * Error message.
+ *
+ * @property {Number} index
+ * Index of the value, or of the $[sequence] / $[page] step that timed out.
+ *
+ * @property {Number} duration
+ * Number of milliseconds that elapsed before the timeout occurred.
+ *
+ * @see $[batch], $[sequence], $[page]
+ */
+function TimeoutError(message, index, duration) {
+
+    if (!(this instanceof TimeoutError)) {
+        return new TimeoutError(message, index, duration);
+    }
+
+    this.name = 'TimeoutError';
+    this.message = message;
+    this.index = index;
+    this.duration = duration;
+
+    // istanbul ignore else: only the client-side may lack the stack capture;
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, TimeoutError);
+    }
+}
+
+TimeoutError.prototype = Object.create(Error.prototype, {
+    constructor: {
+        value: TimeoutError,
+        writable: true,
+        configurable: true
+    }
+});
+
+module.exports = TimeoutError;
@@ -17,6 +17,69 @@ function isReadableStream(obj) {
         typeof obj._readableState === 'object';
 }
 
+////////////////////////////////////////////////////////////
+// Returns the iterator of a sync or async iterable, or the
+// value itself when it is an iterator, or else null.
+function getIterator(value) {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    if (typeof Symbol === 'function') {
+        if (Symbol.asyncIterator && typeof value[Symbol.asyncIterator] === 'function') {
+            return value[Symbol.asyncIterator]();
+        }
+        if (Symbol.iterator && typeof value[Symbol.iterator] === 'function') {
+            return value[Symbol.iterator]();
+        }
+    }
+    return typeof value.next === 'function' ? value : null;
+}
+
+////////////////////////////////////////////////////////////
+// Checks if the value is a sync or async iterable, or an
+// iterator, without starting an iteration.
+function isIterable(value) {
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+    if (typeof Symbol === 'function' && ((Symbol.asyncIterator && typeof value[Symbol.asyncIterator] === 'function') ||
+        (Symbol.iterator && typeof value[Symbol.iterator] === 'function'))) {
+        return true;
+    }
+    return typeof value.next === 'function';
+}
+
+////////////////////////////////////////////////////////////
+// Converts a sync or async iterator into a source function,
+// which returns the next value, or undefined when finished.
+function iteratorSource(iterator) {
+    return function () {
+        var r = iterator.next();
+        return isPromise(r) ? r.then(value) : value(r);
+    };
+
+    function value(r) {
+        return r && !r.done ? r.value : undefined;
+    }
+}
+
+//////////////////////////////////////////////////////////
+// Closes an iterator that won't be iterated till the end,
+// ignoring any error, as there is no one to report it to.
+function close(iterator) {
+    if (typeof iterator.return === 'function') {
+        try {
+            var r = iterator.return();
+            if (isPromise(r)) {
+                r.then(null, function () {
+                });
+            }
+        } catch (e) {
+            // ignore;
+        }
+    }
+}
+
 ////////////////////////////////////////////////////////////
 // Sets an object property as read-only and non-enumerable.
 function extend(obj, name, value) {
@@ -103,6 +166,85 @@ function wrap(func) {
     return null;
 }
 
+//////////////////////////////////////////////////////////
+// Copies batch options into a new object, for extension;
+// a function in place of the options stands for `cb`.
+function batchOptions(options) {
+    var opt = {};
+    if (typeof options === 'function') {
+        opt.cb = options;
+    } else if (options && typeof options === 'object') {
+        for (var name in options) {
+            opt[name] = options[name];
+        }
+    }
+    return opt;
+}
+
+/////////////////////////////////////////////////
+// Parses a retry policy, applying the defaults;
+// returns null when retries are not required.
+function parseRetry(retry) {
+    if (typeof retry === 'number') {
+        retry = {retries: retry};
+    }
+    if (!retry || typeof retry !== 'object' || !(retry.retries > 0)) {
+        return null;
+    }
+    return {
+        retries: parseInt(retry.retries),
+        minDelay: retry.minDelay >= 0 ? +retry.minDelay : 100,
+        maxDelay: retry.maxDelay >= 0 ? +retry.maxDelay : 10000,
+        factor: retry.factor > 0 ? +retry.factor : 2,
+        jitter: retry.jitter > 0 ? Math.min(+retry.jitter, 1) : 0,
+        shouldRetry: retry.shouldRetry instanceof Function ? retry.shouldRetry : null
+    };
+}
+
+//////////////////////////////////////////////////////////////
+// Calculates exponential delay before the next retry attempt,
+// reduced randomly by up to the jitter fraction of it.
+function backoff(retry, attempt) {
+    var delay = Math.min(retry.minDelay * Math.pow(retry.factor, attempt - 1), retry.maxDelay);
+    return Math.round(delay * (1 - retry.jitter * Math.random()));
+}
+
+//////////////////////////////////////////////////////////////
+// Parses the rate option into a token bucket, or returns null,
+// if no rate limit is specified.
+function parseRate(rate) {
+    var count, interval;
+    if (rate && typeof rate === 'object') {
+        if (rate.perSecond > 0) {
+            count = +rate.perSecond;
+            interval = 1000;
+        } else if (rate.count > 0 && rate.interval > 0) {
+            count = +rate.count;
+            interval = +rate.interval;
+        }
+    }
+    if (!count) {
+        return null;
+    }
+    return {
+        count: count,
+        interval: interval,
+        tokens: Math.max(count, 1),
+        time: Date.now()
+    };
+}
+
+//////////////////////////////////////////////////////////////
+// Takes a token from the bucket, and returns the number of
+// milliseconds to wait till the token becomes available.
+function reserve(bucket) {
+    var now = Date.now(), capacity = Math.max(bucket.count, 1);
+    bucket.tokens = Math.min(bucket.tokens + (now - bucket.time) * bucket.count / bucket.interval, capacity);
+    bucket.time = now;
+    bucket.tokens--;
+    return bucket.tokens < 0 ? Math.ceil(-bucket.tokens * bucket.interval / bucket.count) : 0;
+}
+
 var $p;
 
 module.exports = function (config) {
@@ -110,8 +252,17 @@ module.exports = function (config) {
     return {
         isPromise: isPromise,
         isReadableStream: isReadableStream,
+        getIterator: getIterator,
+        isIterable: isIterable,
+        iteratorSource: iteratorSource,
+        close: close,
         extend: extend,
         resolve: resolve,
-        wrap: wrap
+        wrap: wrap,
+        batchOptions: batchOptions,
+        parseRetry: parseRetry,
+        backoff: backoff,
+        parseRate: parseRate,
+        reserve: reserve
     };
 };
@@ -3,14 +3,22 @@
 var lib = require('../../header');
 var promise = lib.promise;
 var spex = lib.main(promise);
+var TimeoutError = lib.main.TimeoutError;
 
 describe("Batch - negative", function () {
 
     describe("with invalid parameters", function () {
         it("must detect invalid array of values", function () {
+            var msg = "Batch requires an array or an iterable of values.";
             expect(function () {
                 spex.batch();
-            }).toThrow("Batch requires an array of values.");
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch('text');
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch({});
+            }).toThrow(msg);
         });
     });
 
@@ -127,6 +135,358 @@ describe("Batch - negative", function () {
         });
     });
 
+    describe("fail-fast", function () {
+
+        describe("with pending values", function () {
+            var r, called = 0;
+
+            function slow() {
+                return promise.delay(50).then(function () {
+                    return 'slow';
+                });
+            }
+
+            function lazy() {
+                called++;
+                return 'lazy';
+            }
+
+            beforeEach(function (done) {
+                spex.batch([slow, promise.reject('ops!'), lazy], {concurrency: 1, failFast: true})
+                    .catch(function (reason) {
+                        r = reason;
+                        done();
+                    });
+            });
+            it("must reject without waiting", function () {
+                expect(r).toEqual([
+                    {success: undefined, pending: true},
+                    {success: false, result: 'ops!'},
+                    {success: undefined, pending: true}
+                ]);
+                expect(r.getErrors()).toEqual(['ops!']);
+                expect(called).toBe(0);
+            });
+        });
+
+        describe("with a callback error", function () {
+            var r, indexes = [];
+
+            function cb(index) {
+                indexes.push(index);
+                if (index === 1) {
+                    throw 'cb error';
+                }
+            }
+
+            beforeEach(function (done) {
+                spex.batch([1, 2, promise.delay(20)], {cb: cb, failFast: true})
+                    .catch(function (reason) {
+                        r = reason;
+                        done();
+                    });
+            });
+            it("must reject with the callback error", function () {
+                expect(r).toEqual([
+                    {success: true, result: 1},
+                    {success: false, result: 'cb error', origin: {success: true, result: 2}},
+                    {success: undefined, pending: true}
+                ]);
+                expect(r.getErrors()).toEqual(['cb error']);
+                expect(indexes).toEqual([0, 1]);
+            });
+        });
+
+    });
+
+    describe("value timeout", function () {
+        var r, late;
+
+        function stuck() {
+            return new promise(function () {
+            });
+        }
+
+        function slow() {
+            return promise.delay(50).then(function () {
+                late = true;
+            });
+        }
+
+        beforeEach(function (done) {
+            spex.batch([1, stuck, slow], {timeout: 20})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must report the timed out values", function () {
+            expect(r.length).toBe(3);
+            expect(r[0]).toEqual({success: true, result: 1});
+            expect(r[1].success).toBe(false);
+            expect(r[1].result instanceof TimeoutError).toBe(true);
+            expect(r[1].result instanceof Error).toBe(true);
+            expect(r[1].result.name).toBe('TimeoutError');
+            expect(r[1].result.message).toBe('Value resolution timed out.');
+            expect(r[1].result.index).toBe(1);
+            expect(r[1].result.duration >= 15).toBe(true);
+            expect(r[2].result.index).toBe(2);
+            expect(r.getErrors()).toEqual([r[1].result, r[2].result]);
+            expect(late).toBeUndefined();
+        });
+    });
+
+    describe("batch deadline", function () {
+        var r, called = 0;
+
+        function slow() {
+            called++;
+            return promise.delay(100);
+        }
+
+        beforeEach(function (done) {
+            spex.batch([slow, 'value', slow], {concurrency: 1, deadline: 30})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must reject all unsettled values", function () {
+            expect(r[1]).toEqual({success: true, result: 'value'});
+            expect(r[0].result instanceof TimeoutError).toBe(true);
+            expect(r[0].result.message).toBe('Batch deadline has been reached.');
+            expect(r[0].result.index).toBe(0);
+            expect(r[2].result.index).toBe(2);
+            expect(r.getErrors().length).toBe(2);
+            expect(called).toBe(1);
+        });
+    });
+
+    describe("exhausted retries", function () {
+        var r, calls = 0, checks = [], notes = [];
+
+        function flaky() {
+            calls++;
+            throw 'fail-' + calls;
+        }
+
+        function shouldRetry(err, index, attempt) {
+            checks.push([err, index, attempt]);
+            return true;
+        }
+
+        function cb(index, success, data, delay, attempts) {
+            notes.push([index, success, attempts]);
+        }
+
+        beforeEach(function (done) {
+            spex.batch([1, flaky], {
+                cb: cb,
+                retry: {retries: 2, minDelay: 5, shouldRetry: shouldRetry}
+            })
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must report the last error with attempts", function () {
+            expect(calls).toBe(3);
+            expect(checks).toEqual([['fail-1', 1, 1], ['fail-2', 1, 2]]);
+            expect(r).toEqual([
+                {success: true, result: 1, attempts: 1},
+                {success: false, result: 'fail-3', attempts: 3}
+            ]);
+            expect(r.getErrors()).toEqual(['fail-3']);
+            expect(notes).toEqual([[0, true, 1], [1, false, 3]]);
+        });
+    });
+
+    describe("retry declined", function () {
+        var r, calls = 0;
+
+        function value() {
+            calls++;
+            return promise.reject(new Error('fatal'));
+        }
+
+        function shouldRetry(err) {
+            if (err.message === 'fatal') {
+                throw 'declined';
+            }
+            return true;
+        }
+
+        beforeEach(function (done) {
+            spex.batch([value, promise.reject('not a function')], {retry: {retries: 5, shouldRetry: shouldRetry}})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must fail without retrying", function () {
+            expect(calls).toBe(1);
+            expect(r).toEqual([
+                {success: false, result: 'declined', attempts: 1},
+                {success: false, result: 'not a function', attempts: 1}
+            ]);
+        });
+    });
+
+    describe("iteration error", function () {
+        var r, step = 0;
+
+        var iterator = {
+            next: function () {
+                step++;
+                if (step > 2) {
+                    throw 'iteration error';
+                }
+                return {value: step, done: false};
+            }
+        };
+
+        beforeEach(function (done) {
+            spex.batch(iterator)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must be reported as an extra value", function () {
+            expect(r).toEqual([
+                {success: true, result: 1},
+                {success: true, result: 2},
+                {success: false, result: 'iteration error'}
+            ]);
+            expect(r.getErrors()).toEqual(['iteration error']);
+        });
+    });
+
+    describe("async iteration reject", function () {
+        var r;
+
+        var iterator = {
+            next: function () {
+                return promise.reject('next failed');
+            }
+        };
+
+        beforeEach(function (done) {
+            spex.batch(iterator)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must be reported as an extra value", function () {
+            expect(r).toEqual([{success: false, result: 'next failed'}]);
+        });
+    });
+
+    describe("early settlement of an iterable", function () {
+        var r, pulled = 0, closed;
+
+        var iterator = {
+            next: function () {
+                pulled++;
+                return promise.resolve({value: pulled === 2 ? promise.reject('ops!') : pulled, done: false});
+            },
+            return: function () {
+                closed = true;
+                return {done: true};
+            }
+        };
+
+        beforeEach(function (done) {
+            spex.batch(iterator, {failFast: true})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must close the iterator", function () {
+            expect(r.slice(0, 2)).toEqual([
+                {success: true, result: 1},
+                {success: false, result: 'ops!'}
+            ]);
+            expect(closed).toBe(true);
+            expect(pulled < 5).toBe(true);
+        });
+    });
+
+    describe("ordered notification failure", function () {
+        var r, notes = [];
+
+        function cb(index, success) {
+            notes.push(index);
+            if (index === 1) {
+                return promise.reject('cb failed');
+            }
+        }
+
+        beforeEach(function (done) {
+            var values = [promise.delay(20).then(function () {
+                return 'first';
+            }), 'second', promise.reject('third')];
+            spex.batch(values, {cb: cb, ordered: true})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must report it with origin", function () {
+            expect(notes).toEqual([0, 1, 2]);
+            expect(r).toEqual([
+                {success: true, result: 'first'},
+                {success: false, result: 'cb failed', origin: {success: true, result: 'second'}},
+                {success: false, result: 'third'}
+            ]);
+            expect(r.getErrors()).toEqual(['cb failed', 'third']);
+        });
+    });
+
+    describe("ordered notifications with fail-fast", function () {
+        var r, notes = [];
+
+        function cb(index) {
+            notes.push(index);
+        }
+
+        beforeEach(function (done) {
+            spex.batch([promise.delay(30), promise.reject('ops!')], {cb: cb, ordered: true, failFast: true})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must not wait for the notifications", function () {
+            expect(r).toEqual([
+                {success: undefined, pending: true},
+                {success: false, result: 'ops!'}
+            ]);
+            expect(notes).toEqual([]);
+        });
+    });
+
+    describe("multiple errors", function () {
+        var r;
+        beforeEach(function (done) {
+            var values = [];
+            for (var i = 0; i < 12; i++) {
+                values.push(i % 5 ? i : promise.reject(i));
+            }
+            spex.batch(values)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must report errors in index order", function () {
+            expect(r.getErrors()).toEqual([0, 5, 10]);
+            expect(r[11]).toEqual({success: true, result: 11});
+        });
+    });
+
     describe("nested batch reject", function () {
         var error, msg = "internal failure";
 
@@ -169,6 +529,273 @@ describe("Batch - positive", function () {
         });
     });
 
+    describe("with concurrency", function () {
+        var result, active = 0, maxActive = 0, order = [];
+
+        function value(idx) {
+            return function () {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                order.push(idx);
+                return promise.delay(idx % 2 ? 10 : 1)
+                    .then(function () {
+                        active--;
+                        return idx;
+                    });
+            };
+        }
+
+        beforeEach(function (done) {
+            var values = [];
+            for (var i = 0; i < 10; i++) {
+                values.push(value(i));
+            }
+            values.push('simple', promise.resolve('promise'));
+            spex.batch(values, {concurrency: 3})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must not exceed the limit", function () {
+            expect(maxActive).toBe(3);
+            expect(order).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(result).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 'simple', 'promise']);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    describe("with concurrency and synchronous values", function () {
+        var result, values = [];
+
+        for (var i = 0; i < 10000; i++) {
+            values.push(function () {
+                return 1;
+            });
+        }
+
+        beforeEach(function (done) {
+            spex.batch(values, {concurrency: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve all values", function () {
+            expect(result.length).toBe(values.length);
+        });
+    });
+
+    describe("with concurrency and a failure", function () {
+        var r;
+
+        function problem() {
+            return promise.reject('ops!');
+        }
+
+        function good() {
+            return promise.resolve('ok');
+        }
+
+        beforeEach(function (done) {
+            spex.batch([good, problem, good, 'value'], {concurrency: 1})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must settle all values", function () {
+            expect(r).toEqual([
+                {success: true, result: 'ok'},
+                {success: false, result: 'ops!'},
+                {success: true, result: 'ok'},
+                {success: true, result: 'value'}
+            ]);
+            expect(r.getErrors()).toEqual(['ops!']);
+        });
+    });
+
+    describe("async iterator with concurrency", function () {
+        var result, pulled = 0, active = 0, maxActive = 0, maxAhead = 0, settledCount = 0;
+
+        function value(idx) {
+            return function () {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                return promise.delay(5).then(function () {
+                    active--;
+                    settledCount++;
+                    return idx;
+                });
+            };
+        }
+
+        var iterator = {
+            next: function () {
+                maxAhead = Math.max(maxAhead, pulled - settledCount);
+                if (pulled === 6) {
+                    return promise.resolve({done: true});
+                }
+                return promise.resolve({value: value(pulled++), done: false});
+            }
+        };
+
+        beforeEach(function (done) {
+            spex.batch(iterator, {concurrency: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must pull values as they are needed", function () {
+            expect(result).toEqual([0, 1, 2, 3, 4, 5]);
+            expect(typeof result.duration).toBe('number');
+            expect(maxActive).toBe(2);
+            expect(maxAhead <= 3).toBe(true);
+        });
+    });
+
+    describe("empty iterator", function () {
+        var result;
+
+        var iterator = {
+            next: function () {
+                return {done: true};
+            }
+        };
+
+        beforeEach(function (done) {
+            spex.batch(iterator)
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with an empty result", function () {
+            expect(result).toEqual([]);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    if (typeof Set === 'function' && typeof Symbol === 'function') {
+        describe("Set input", function () {
+            var result;
+            beforeEach(function (done) {
+                spex.batch(new Set([1, promise.resolve(2), 3]))
+                    .then(function (data) {
+                        result = data;
+                        done();
+                    });
+            });
+            it("must resolve in the order of iteration", function () {
+                expect(result).toEqual([1, 2, 3]);
+            });
+        });
+    }
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        describe("async iterable input", function () {
+            var result, iterable = {};
+
+            iterable[Symbol.asyncIterator] = function () {
+                var idx = 0;
+                return {
+                    next: function () {
+                        return promise.delay(1).then(function () {
+                            return idx < 3 ? {value: 'v' + idx++, done: false} : {done: true};
+                        });
+                    }
+                };
+            };
+
+            beforeEach(function (done) {
+                spex.batch(iterable)
+                    .then(function (data) {
+                        result = data;
+                        done();
+                    });
+            });
+            it("must resolve all values", function () {
+                expect(result).toEqual(['v0', 'v1', 'v2']);
+            });
+        });
+    }
+
+    describe("ordered notifications", function () {
+        var result, notes = [], delays = [];
+
+        function value(idx, ms) {
+            return promise.delay(ms).then(function () {
+                return idx;
+            });
+        }
+
+        function cb(index, success, data, delay) {
+            notes.push([index, success, data]);
+            delays.push(delay);
+            if (index === 1) {
+                return promise.delay(10);
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.batch([value(0, 30), value(1, 20), 2, value(3, 1)], {cb: cb, ordered: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must notify in the index order", function () {
+            expect(result).toEqual([0, 1, 2, 3]);
+            expect(notes).toEqual([[0, true, 0], [1, true, 1], [2, true, 2], [3, true, 3]]);
+            expect(delays[0]).toBeUndefined();
+            expect(delays[2] >= 5).toBe(true);
+        });
+    });
+
+    describe("with successful retries", function () {
+        var result, calls = 0, notes = [];
+
+        function flaky() {
+            calls++;
+            if (calls < 3) {
+                return promise.reject('try again');
+            }
+            return 'ok';
+        }
+
+        function cb(index, success, data, delay, attempts) {
+            notes.push(attempts);
+        }
+
+        beforeEach(function (done) {
+            spex.batch([flaky, 'simple'], {cb: cb, retry: {retries: 3, minDelay: 1, maxDelay: 5, jitter: true}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with the final result", function () {
+            expect(result).toEqual(['ok', 'simple']);
+            expect(calls).toBe(3);
+            expect(notes).toEqual([1, 3]);
+        });
+    });
+
+    describe("within timeouts", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch([1, promise.resolve(2)], {timeout: 1000, deadline: 1000})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve normally", function () {
+            expect(result).toEqual([1, 2]);
+        });
+    });
+
     describe("this context", function () {
         var ctx, context = {};
 
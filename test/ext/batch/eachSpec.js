@@ -0,0 +1,182 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+// consumes the iterator, calling the handler for each item;
+function drain(iterator, handler) {
+    return iterator.next()
+        .then(function (r) {
+            if (!r.done) {
+                return promise.resolve(handler(r.value))
+                    .then(function () {
+                        return drain(iterator, handler);
+                    });
+            }
+        });
+}
+
+describe("Each - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid values", function () {
+            expect(function () {
+                spex.batch.each(123);
+            }).toThrow("Batch requires an array or an iterable of values.");
+        });
+    });
+
+    describe("iteration error", function () {
+        var items = [], step = 0;
+
+        var iterator = {
+            next: function () {
+                if (step++) {
+                    throw 'iteration error';
+                }
+                return {value: 'first', done: false};
+            }
+        };
+
+        beforeEach(function (done) {
+            drain(spex.batch.each(iterator), function (item) {
+                items.push(item);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+        it("must be yielded as an extra value", function () {
+            expect(items).toEqual([
+                {index: 0, success: true, result: 'first'},
+                {index: 1, success: false, result: 'iteration error'}
+            ]);
+        });
+    });
+
+});
+
+describe("Each - positive", function () {
+
+    describe("completion order", function () {
+        var items = [];
+
+        function value(data, ms) {
+            return function () {
+                return promise.delay(ms).then(function () {
+                    return data;
+                });
+            };
+        }
+
+        beforeEach(function (done) {
+            var values = [value('slow', 30), promise.reject('ops!'), value('fast', 5), 'simple'];
+            drain(spex.batch.each(values), function (item) {
+                items.push(item);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+        it("must yield values as they settle", function () {
+            expect(items).toEqual([
+                {index: 3, success: true, result: 'simple'},
+                {index: 1, success: false, result: 'ops!'},
+                {index: 2, success: true, result: 'fast'},
+                {index: 0, success: true, result: 'slow'}
+            ]);
+        });
+    });
+
+    describe("backpressure", function () {
+        var items = [], started = 0, maxAhead = 0;
+
+        function value(idx) {
+            return function () {
+                started++;
+                return idx;
+            };
+        }
+
+        beforeEach(function (done) {
+            var values = [];
+            for (var i = 0; i < 10; i++) {
+                values.push(value(i));
+            }
+            drain(spex.batch.each(values, {concurrency: 3}), function (item) {
+                items.push(item.result);
+                maxAhead = Math.max(maxAhead, started - items.length);
+                return promise.delay(1);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+        it("must not run ahead of the consumer", function () {
+            expect(items).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(started).toBe(10);
+            expect(maxAhead <= 3).toBe(true);
+        });
+    });
+
+    describe("early return", function () {
+        var items = [], pulled = 0, closed, last;
+
+        var iterator = {
+            next: function () {
+                return promise.resolve({value: pulled++, done: false});
+            },
+            return: function () {
+                closed = true;
+                return promise.resolve({done: true});
+            }
+        };
+
+        beforeEach(function (done) {
+            var it = spex.batch.each(iterator, {concurrency: 1});
+            it.next()
+                .then(function (r) {
+                    items.push(r.value);
+                    return it.return();
+                })
+                .then(function () {
+                    return it.next();
+                })
+                .then(function (r) {
+                    last = r;
+                    done();
+                });
+        });
+        it("must stop the iteration", function () {
+            expect(items).toEqual([{index: 0, success: true, result: 0}]);
+            expect(closed).toBe(true);
+            expect(pulled <= 2).toBe(true);
+            expect(last).toEqual({value: undefined, done: true});
+        });
+    });
+
+    describe("empty input", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.each([]).next()
+                .then(function (r) {
+                    result = r;
+                    done();
+                });
+        });
+        it("must finish at once", function () {
+            expect(result).toEqual({value: undefined, done: true});
+        });
+    });
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        describe("async iterable protocol", function () {
+            it("must return itself", function () {
+                var it = spex.batch.each([]);
+                expect(it[Symbol.asyncIterator]()).toBe(it);
+            });
+        });
+    }
+
+});
@@ -24,3 +24,26 @@ describe("Batch callback as generator", function () {
         expect(ctx).toBe(context);
     });
 });
+
+describe("Batch of a generator object", function () {
+    var result;
+
+    function * values() {
+        yield 1;
+        yield promise.resolve(2);
+        yield function () {
+            return 3;
+        };
+    }
+
+    beforeEach(function (done) {
+        spex.batch(values(), {concurrency: 1})
+            .then(function (data) {
+                result = data;
+                done();
+            });
+    });
+    it("must resolve successfully", function () {
+        expect(result).toEqual([1, 2, 3]);
+    });
+});
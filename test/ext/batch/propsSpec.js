@@ -0,0 +1,197 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+describe("Batch.props - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid values", function () {
+            var msg = "Batch requires an object or a Map of values.";
+            expect(function () {
+                spex.batch.props();
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch.props([1, 2]);
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch.props(123);
+            }).toThrow(msg);
+        });
+        it("must detect reserved keys", function () {
+            expect(function () {
+                spex.batch.props({duration: 1});
+            }).toThrow("Property name 'duration' is reserved.");
+            expect(function () {
+                spex.batch.props({first: 1, getErrors: 2});
+            }).toThrow("Property name 'getErrors' is reserved.");
+            expect(function () {
+                spex.batch.props({failed: 1}, {settle: true});
+            }).toThrow("Property name 'failed' is reserved.");
+        });
+    });
+
+    describe("value reject", function () {
+        var r, keys = [];
+
+        function nested() {
+            return spex.batch([promise.reject('inner')]);
+        }
+
+        function cb(key) {
+            keys.push(key);
+        }
+
+        beforeEach(function (done) {
+            spex.batch.props({one: 1, two: promise.reject('ops!'), three: nested}, cb)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must reject with the same keys", function () {
+            expect(r).toEqual({
+                one: {success: true, result: 1},
+                two: {success: false, result: 'ops!'},
+                three: {success: false, result: [{success: false, result: 'inner'}]}
+            });
+            expect(r.getErrors()).toEqual({two: 'ops!', three: ['inner']});
+            expect(keys.sort()).toEqual(['one', 'three', 'two']);
+        });
+    });
+
+    if (typeof Map === 'function') {
+        describe("Map reject", function () {
+            var r;
+            beforeEach(function (done) {
+                var values = new Map();
+                values.set('a', 1);
+                values.set(2, promise.reject('ops!'));
+                spex.batch.props(values)
+                    .catch(function (reason) {
+                        r = reason;
+                        done();
+                    });
+            });
+            it("must reject with a Map", function () {
+                expect(r instanceof Map).toBe(true);
+                expect(r.get('a')).toEqual({success: true, result: 1});
+                expect(r.get(2)).toEqual({success: false, result: 'ops!'});
+                var err = r.getErrors();
+                expect(err instanceof Map).toBe(true);
+                expect(err.size).toBe(1);
+                expect(err.get(2)).toBe('ops!');
+            });
+        });
+    }
+});
+
+describe("Batch.props - positive", function () {
+
+    describe("empty input", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.props({})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with an empty object", function () {
+            expect(result).toEqual({});
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    describe("with options", function () {
+        var result, keys = [], ctx, context = {};
+
+        function cb(key, success, data) {
+            ctx = this;
+            keys.push([key, success, data]);
+        }
+
+        function value() {
+            return promise.resolve('func');
+        }
+
+        beforeEach(function (done) {
+            spex.batch.props.call(context, {first: value, second: 'simple'}, {cb: cb, concurrency: 1})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with the same keys", function () {
+            expect(result).toEqual({first: 'func', second: 'simple'});
+            expect(typeof result.duration).toBe('number');
+            expect(keys).toEqual([['second', true, 'simple'], ['first', true, 'func']]);
+            expect(ctx).toBe(context);
+        });
+    });
+
+    describe("with quorum", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.props({first: promise.delay(20).then(function () {
+                return 'slow';
+            }), second: promise.reject('ops!'), third: 'fast'}, {quorum: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with the keys that resolved", function () {
+            expect(result).toEqual({third: 'fast', first: 'slow'});
+            expect(Object.keys(result)).toEqual(['third', 'first']);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    describe("with settle", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.props({one: 1, two: promise.reject('ops!'), three: 3}, {settle: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with the keyed details", function () {
+            expect(result).toEqual({
+                one: {success: true, result: 1},
+                two: {success: false, result: 'ops!'},
+                three: {success: true, result: 3}
+            });
+            expect(result.getErrors()).toEqual({two: 'ops!'});
+            expect(result.succeeded).toBe(2);
+            expect(result.failed).toBe(1);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    if (typeof Map === 'function') {
+        describe("Map input", function () {
+            var result;
+            beforeEach(function (done) {
+                var values = new Map();
+                values.set('a', promise.resolve(1));
+                values.set('b', 2);
+                values.set('duration', 3);
+                spex.batch.props(values)
+                    .then(function (data) {
+                        result = data;
+                        done();
+                    });
+            });
+            it("must resolve with a Map", function () {
+                expect(result instanceof Map).toBe(true);
+                expect(result.get('a')).toBe(1);
+                expect(result.get('b')).toBe(2);
+                expect(result.get('duration')).toBe(3);
+                expect(typeof result.duration).toBe('number');
+            });
+        });
+    }
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+function delayed(value, ms) {
+    return function () {
+        return promise.delay(ms).then(function () {
+            return value;
+        });
+    };
+}
+
+function failed(reason, ms) {
+    return function () {
+        return promise.delay(ms).then(function () {
+            return promise.reject(reason);
+        });
+    };
+}
+
+describe("Quorum - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid quorum size", function () {
+            var msg = "Invalid quorum size.";
+            expect(function () {
+                spex.batch.some([1]);
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch.some([1], 1.5);
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch.some([1, 2, 3], 5);
+            }).toThrow(msg);
+            expect(function () {
+                spex.batch.any([]);
+            }).toThrow(msg);
+        });
+        it("must detect invalid values", function () {
+            expect(function () {
+                spex.batch.some(null, 1);
+            }).toThrow("Batch requires an array or an iterable of values.");
+            expect(function () {
+                spex.batch.majority();
+            }).toThrow("Batch requires an array of values.");
+        });
+    });
+
+    describe("impossible quorum", function () {
+        var r, called = 0;
+
+        function lazy() {
+            called++;
+        }
+
+        beforeEach(function (done) {
+            spex.batch.some([failed('one', 5), failed('two', 10), delayed(3, 50), lazy], 3, {concurrency: 2})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must reject as soon as it is known", function () {
+            expect(r).toEqual([
+                {success: false, result: 'one'},
+                {success: false, result: 'two'},
+                {success: undefined, pending: true},
+                {success: undefined, pending: true}
+            ]);
+            expect(r.getErrors()).toEqual(['one', 'two']);
+            expect(called).toBe(0);
+        });
+    });
+
+    describe("all failed for any", function () {
+        var r;
+        beforeEach(function (done) {
+            spex.batch.any([failed('one', 1), failed('two', 2)])
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must reject with all errors", function () {
+            expect(r.getErrors()).toEqual(['one', 'two']);
+        });
+    });
+
+    describe("iterable shorter than the quorum", function () {
+        var r;
+        beforeEach(function (done) {
+            var step = 0, iterator = {
+                next: function () {
+                    step++;
+                    return step < 4 ? {value: step, done: false} : {done: true};
+                }
+            };
+            spex.batch.some(iterator, 5)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must reject with a reason", function () {
+            expect(r.length).toBe(3);
+            var err = r.getErrors();
+            expect(err.length).toBe(1);
+            expect(err[0] instanceof TypeError).toBe(true);
+            expect(err[0].message).toBe("Invalid quorum size.");
+        });
+    });
+
+    describe("callback failure", function () {
+        var r;
+
+        function cb(index) {
+            if (!index) {
+                throw 'cb error';
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.batch.any([1], cb)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+        it("must not count towards the quorum", function () {
+            expect(r).toEqual([{success: false, result: 'cb error', origin: {success: true, result: 1}}]);
+        });
+    });
+
+});
+
+describe("Quorum - positive", function () {
+
+    describe("any", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.any([failed('one', 1), delayed('slow', 50), delayed('fast', 10)])
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with the first result", function () {
+            expect(result.index).toBe(2);
+            expect(result.result).toBe('fast');
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    describe("some", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.some([delayed('a', 30), 'b', delayed('c', 60), failed('d', 1), delayed('e', 5)], 3)
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve in the order of resolution", function () {
+            expect(result).toEqual([
+                {index: 1, result: 'b'},
+                {index: 4, result: 'e'},
+                {index: 0, result: 'a'}
+            ]);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
+    describe("majority", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.majority([1, failed('two', 1), delayed(3, 5), delayed(4, 100)])
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with more than half", function () {
+            expect(result).toEqual([
+                {index: 0, result: 1},
+                {index: 2, result: 3},
+                {index: 3, result: 4}
+            ]);
+        });
+    });
+
+    describe("quorum option", function () {
+        var result, context = {}, ctx;
+
+        function value() {
+            ctx = this;
+            return 'first';
+        }
+
+        beforeEach(function (done) {
+            spex.batch.call(context, [value, delayed('second', 100)], {quorum: 1})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve early", function () {
+            expect(result).toEqual([{index: 0, result: 'first'}]);
+            expect(ctx).toBe(context);
+        });
+    });
+
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+describe("Settle - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid values", function () {
+            expect(function () {
+                spex.batch.settle();
+            }).toThrow("Batch requires an array or an iterable of values.");
+        });
+    });
+
+});
+
+describe("Settle - positive", function () {
+
+    describe("with failures", function () {
+        var result;
+
+        function cb(index) {
+            if (index === 2) {
+                throw 'cb error';
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.batch.settle([1, promise.reject('ops!'), 3], cb)
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with all outcomes", function () {
+            expect(result).toEqual([
+                {success: true, result: 1},
+                {success: false, result: 'ops!'},
+                {success: false, result: 'cb error', origin: {success: true, result: 3}}
+            ]);
+            expect(result.succeeded).toBe(1);
+            expect(result.failed).toBe(2);
+            expect(typeof result.duration).toBe('number');
+            expect(result.getErrors()).toEqual(['ops!', 'cb error']);
+        });
+    });
+
+    describe("without failures", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch([1, promise.resolve(2)], {settle: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with all outcomes", function () {
+            expect(result).toEqual([
+                {success: true, result: 1},
+                {success: true, result: 2}
+            ]);
+            expect(result.succeeded).toBe(2);
+            expect(result.failed).toBe(0);
+            expect(result.getErrors()).toEqual([]);
+        });
+    });
+
+    describe("with fail-fast", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.settle([promise.delay(20), promise.reject('ops!')], {failFast: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must report pending values", function () {
+            expect(result).toEqual([
+                {success: undefined, pending: true},
+                {success: false, result: 'ops!'}
+            ]);
+            expect(result.succeeded).toBe(0);
+            expect(result.failed).toBe(1);
+        });
+    });
+
+    describe("empty input", function () {
+        var result;
+        beforeEach(function (done) {
+            spex.batch.settle([])
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must resolve with an empty result", function () {
+            expect(result).toEqual([]);
+            expect(result.succeeded).toBe(0);
+            expect(result.failed).toBe(0);
+            expect(result.duration).toBe(0);
+            expect(result.getErrors()).toEqual([]);
+        });
+    });
+
+});
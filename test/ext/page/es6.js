@@ -31,3 +31,24 @@ describe("Page callbacks generators", function () {
         expect(context.data).toEqual(['src']);
     });
 });
+
+describe("Page of a generator object", function () {
+    var result;
+
+    function * pages() {
+        yield [1, 2];
+        yield [promise.resolve(3)];
+    }
+
+    beforeEach(function (done) {
+        spex.page(pages())
+            .then(function (data) {
+                result = data;
+                done();
+            });
+    });
+    it("must resolve all the pages", function () {
+        expect(result.pages).toBe(2);
+        expect(result.total).toBe(3);
+    });
+});
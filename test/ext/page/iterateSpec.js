@@ -0,0 +1,108 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+// consumes the iterator, calling the handler for each item;
+function drain(iterator, handler) {
+    return iterator.next()
+        .then(function (r) {
+            if (!r.done) {
+                return promise.resolve(handler(r.value))
+                    .then(function () {
+                        return drain(iterator, handler);
+                    });
+            }
+        });
+}
+
+describe("Page.iterate - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid source", function () {
+            expect(function () {
+                spex.page.iterate();
+            }).toThrow("Invalid page source.");
+        });
+    });
+
+    describe("page reject", function () {
+
+        var r, items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx ? [promise.reject('bad')] : [1, 2];
+            }
+
+            drain(spex.page.iterate(source), function (item) {
+                items.push(item);
+            })
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject the next page", function () {
+            expect(items).toEqual([[1, 2]]);
+            expect(r.index).toBe(1);
+            expect(r.getError()).toBe('bad');
+        });
+    });
+
+});
+
+describe("Page.iterate - positive", function () {
+
+    describe("with a limit", function () {
+
+        var items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                return [idx, promise.resolve(idx * 10)];
+            }
+
+            drain(spex.page.iterate(source, 2), function (item) {
+                items.push(item);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must yield all the pages", function () {
+            expect(items).toEqual([[0, 0], [1, 10]]);
+        });
+    });
+
+    describe("breaking out early", function () {
+
+        var calls = 0, items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                calls++;
+                return [idx];
+            }
+
+            var it = spex.page.iterate(source);
+            it.next()
+                .then(function (r) {
+                    items.push(r.value);
+                    return it.return();
+                })
+                .then(function () {
+                    return promise.delay(10);
+                })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must stop requesting pages", function () {
+            expect(items).toEqual([[0]]);
+            expect(calls).toBe(1);
+        });
+    });
+
+});
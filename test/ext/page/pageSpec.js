@@ -11,6 +11,9 @@ describe("Page - negative", function () {
             expect(function () {
                 spex.page();
             }).toThrow("Invalid page source.");
+            expect(function () {
+                spex.page(123);
+            }).toThrow("Invalid page source.");
         });
     });
 
@@ -188,6 +191,187 @@ describe("Page - negative", function () {
         });
     });
 
+    describe("invalid cursor page", function () {
+
+        var r;
+        beforeEach(function (done) {
+            spex.page(function () {
+                return {items: 'bad', next: 1};
+            })
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject correctly", function () {
+            expect(r).toEqual({
+                index: 0,
+                error: "Unexpected data returned from the source.",
+                source: undefined
+            });
+        });
+    });
+
+    describe("page error hook failure", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source() {
+                return [promise.reject('bad')];
+            }
+
+            function onPageError() {
+                throw 'hook error';
+            }
+
+            spex.page(source, {tolerant: true, onPageError: onPageError})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject as for dest", function () {
+            expect(r.index).toBe(0);
+            expect(r.error).toBe('hook error');
+            expect(r.dest.getErrors()).toEqual(['bad']);
+        });
+    });
+
+    describe("prefetch failure", function () {
+
+        var r, delivered = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                if (idx === 1) {
+                    throw 'source error';
+                }
+                return [idx];
+            }
+
+            function dest(idx, data) {
+                return promise.delay(10).then(function () {
+                    delivered.push(data);
+                });
+            }
+
+            spex.page(source, {dest: dest, prefetch: 1})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject after the previous pages", function () {
+            expect(delivered).toEqual([[0]]);
+            expect(r).toEqual({
+                index: 1,
+                error: 'source error',
+                source: [0]
+            });
+        });
+    });
+
+    describe("source step timeout", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx ? promise.delay(100) : [1, 2];
+            }
+
+            spex.page(source, {stepTimeout: 10})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with a TimeoutError", function () {
+            expect(r.index).toBe(1);
+            expect(r.source).toEqual([1, 2]);
+            expect(r.getError() instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Source request timed out.");
+        });
+    });
+
+    describe("page step timeout", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source() {
+                return [1, promise.delay(100)];
+            }
+
+            spex.page(source, {stepTimeout: 10})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with the batch deadline", function () {
+            expect(r.index).toBe(0);
+            expect(r.data[0]).toEqual({success: true, result: 1});
+            expect(r.getError() instanceof lib.main.TimeoutError).toBe(true);
+        });
+    });
+
+    describe("dest step timeout", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source() {
+                return [1];
+            }
+
+            function dest() {
+                return promise.delay(100);
+            }
+
+            spex.page(source, {dest: dest, stepTimeout: 10})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with a TimeoutError", function () {
+            expect(r.index).toBe(0);
+            expect(r.dest).toEqual([1]);
+            expect(r.error instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Destination request timed out.");
+        });
+    });
+
+    describe("total timeout", function () {
+
+        var r, calls = 0;
+        beforeEach(function (done) {
+            function source(idx) {
+                calls++;
+                return promise.delay(10).then(function () {
+                    return [idx];
+                });
+            }
+
+            spex.page(source, {timeout: 35})
+                .catch(function (reason) {
+                    r = reason;
+                    promise.delay(30).then(done);
+                });
+        });
+
+        it("must reject and stop requesting pages", function () {
+            expect(r.index > 0).toBe(true);
+            expect(r.source).toEqual([r.index - 1]);
+            expect(r.error instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Page sequence timed out.");
+            expect(calls).toBe(r.index + 1);
+        });
+    });
+
 });
 
 describe("Page - positive", function () {
@@ -262,6 +446,411 @@ describe("Page - positive", function () {
         });
     });
 
+    describe("with a rate limit", function () {
+
+        var result, waits = [], delays = [], attempts = [];
+
+        function source(idx, data, delay, attempt, wait) {
+            attempts.push(attempt);
+            waits.push(wait);
+            delays.push(delay);
+            return [idx];
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {limit: 3, rate: {count: 1, interval: 20}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must hold back the pages beyond the limit", function () {
+            expect(result.pages).toBe(3);
+            expect(attempts).toEqual([1, 1, 1]);
+            expect(waits[0]).toBe(0);
+            expect(waits[1] > 0).toBe(true);
+            expect(waits[2] > 0).toBe(true);
+            expect(delays[2] >= waits[2]).toBe(true);
+            expect(result.duration >= 30).toBe(true);
+        });
+    });
+
+    describe("with checkpoints", function () {
+
+        var result, checkpoints = [];
+
+        function source(idx) {
+            return idx < 2 ? [idx, idx] : undefined;
+        }
+
+        function checkpoint(state) {
+            checkpoints.push(state);
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {checkpoint: checkpoint})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must report each processed page", function () {
+            expect(result.pages).toBe(2);
+            expect(checkpoints).toEqual([
+                {index: 0, data: [0, 0], total: 2}, {index: 1, data: [1, 1], total: 4}
+            ]);
+        });
+    });
+
+    describe("resuming from a checkpoint", function () {
+
+        var result, calls = [];
+
+        function source(idx, data, delay) {
+            calls.push([idx, data, delay]);
+            return idx < 4 ? [idx] : undefined;
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {startIndex: 2, initialData: [1], initialTotal: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must include the resumed work", function () {
+            expect(result.pages).toBe(4);
+            expect(result.total).toBe(4);
+            expect(calls[0]).toEqual([2, [1], undefined]);
+            expect(calls[1][0]).toBe(3);
+            expect(calls[1][1]).toEqual([2]);
+            expect(calls.length).toBe(3);
+        });
+    });
+
+    describe("with an iterable source", function () {
+
+        var result;
+        beforeEach(function (done) {
+            spex.page([[1, 2], [promise.resolve(3)]])
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve all the pages", function () {
+            expect(result.pages).toBe(2);
+            expect(result.total).toBe(3);
+        });
+    });
+
+    describe("with prefetch", function () {
+
+        var result, log = [];
+
+        function source(idx, data) {
+            log.push('source-' + idx);
+            if (idx) {
+                expect(data).toEqual([idx - 1]);
+            }
+            return idx < 3 ? [promise.delay(5).then(function () {
+                return idx;
+            })] : undefined;
+        }
+
+        function dest(idx, data) {
+            log.push('dest-' + idx + ':' + data[0]);
+            return promise.delay(20);
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {dest: dest, prefetch: 1})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must request the next page while dest is busy", function () {
+            expect(result.pages).toBe(3);
+            expect(result.total).toBe(3);
+            expect(log).toEqual([
+                'source-0', 'dest-0:0', 'source-1', 'dest-1:1', 'source-2', 'dest-2:2', 'source-3'
+            ]);
+            expect(result.duration < 100).toBe(true);
+        });
+    });
+
+    describe("with a larger prefetch", function () {
+
+        var fetched, calls = 0;
+
+        function source(idx) {
+            calls++;
+            return [idx];
+        }
+
+        function dest(idx) {
+            if (!idx) {
+                return promise.delay(20).then(function () {
+                    fetched = calls;
+                });
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {dest: dest, prefetch: 2, limit: 5})
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must not get ahead beyond the prefetch", function () {
+            expect(fetched).toBe(3);
+            expect(calls).toBe(5);
+        });
+    });
+
+    describe("with a cursor source", function () {
+
+        var result, cursors = [], checkpoints = [];
+
+        var pages = {
+            first: {items: [1, 2], next: 'second'},
+            second: {items: [promise.resolve(3)], next: 'third'},
+            third: {items: [4, 5, 6]}
+        };
+
+        function source(idx, data, delay, attempt, wait, cursor) {
+            cursors.push(cursor);
+            return promise.resolve(pages[cursor || 'first']);
+        }
+
+        function checkpoint(state) {
+            checkpoints.push(state.cursor);
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {checkpoint: checkpoint})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must pass the cursor and end without it", function () {
+            expect(result.pages).toBe(3);
+            expect(result.total).toBe(6);
+            expect(cursors).toEqual([undefined, 'second', 'third']);
+            expect(checkpoints).toEqual(['second', 'third', undefined]);
+        });
+    });
+
+    describe("resuming a cursor source", function () {
+
+        var result, cursors = [];
+
+        function source(idx, data, delay, attempt, wait, cursor) {
+            cursors.push(cursor);
+            return {items: [idx], next: idx < 3 ? 'page-' + (idx + 1) : null};
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {startIndex: 2, initialCursor: 'page-2'})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must start from the initial cursor", function () {
+            expect(result.pages).toBe(4);
+            expect(result.total).toBe(2);
+            expect(cursors).toEqual(['page-2', 'page-3']);
+        });
+    });
+
+    describe("in tolerant mode", function () {
+
+        var result, reports = [], pages = [], requests = [];
+
+        function source(idx, data) {
+            requests.push(data);
+            switch (idx) {
+                case 0:
+                    return [1, 2];
+                case 1:
+                    return [3, promise.reject('bad'), 5, promise.reject('worse')];
+                case 2:
+                    return [6];
+                default:
+                    return;
+            }
+        }
+
+        function dest(idx, data) {
+            pages.push(data.getErrors ? data.getErrors() : data);
+        }
+
+        function onPageError(idx, data) {
+            reports.push([idx, data.getErrors()]);
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {dest: dest, tolerant: true, onPageError: onPageError})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must continue past the failed page", function () {
+            expect(result.pages).toBe(3);
+            expect(result.total).toBe(7);
+            expect(result.failedPages).toEqual([1]);
+            expect(result.pageErrors).toEqual([{index: 1, failed: 2, errors: ['bad', 'worse']}]);
+            expect(reports).toEqual([[1, ['bad', 'worse']]]);
+            expect(pages).toEqual([[1, 2], ['bad', 'worse'], [6]]);
+            expect(requests[2][1]).toEqual({success: false, result: 'bad'});
+        });
+    });
+
+    describe("with adaptive sizing", function () {
+
+        var result, suggested = [];
+
+        function source(idx, data, delay, attempt, wait, cursor, size) {
+            suggested.push(size);
+            if (idx < 5) {
+                var page = [];
+                for (var i = 0; i < size; i++) {
+                    page.push(i);
+                }
+                return page;
+            }
+        }
+
+        function dest(idx, data) {
+            return promise.delay(data.length > 4 ? 30 : 1); // slow for larger pages;
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {dest: dest, adaptive: {target: 15, min: 2, max: 8, initial: 2}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must adjust the size within the bounds", function () {
+            expect(result.pages).toBe(5);
+            expect(result.sizes).toEqual(suggested.slice(0, 5));
+            expect(suggested[0]).toBe(2);
+            expect(suggested[1]).toBe(4);
+            suggested.forEach(function (size) {
+                expect(size >= 2 && size <= 8).toBe(true);
+            });
+            expect(Math.max.apply(null, suggested) > 4).toBe(true);
+        });
+    });
+
+    describe("without adaptive sizing", function () {
+
+        var sizes = [];
+
+        beforeEach(function (done) {
+            spex.page(function (idx, data, delay, attempt, wait, cursor, size) {
+                sizes.push(size);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must not suggest any size", function () {
+            expect(sizes).toEqual([undefined]);
+        });
+    });
+
+    describe("with max items", function () {
+
+        var result, pages = [];
+
+        function source(idx) {
+            return [idx * 3, idx * 3 + 1, idx * 3 + 2];
+        }
+
+        function dest(idx, data) {
+            pages.push(data);
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {dest: dest, maxItems: 7})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must truncate the final page", function () {
+            expect(result.pages).toBe(3);
+            expect(result.total).toBe(7);
+            expect(pages).toEqual([[0, 1, 2], [3, 4, 5], [6]]);
+        });
+    });
+
+    describe("with max items on a page boundary", function () {
+
+        var result, calls = 0;
+
+        function source(idx) {
+            calls++;
+            return [idx, idx];
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {maxItems: 4})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must not request any more pages", function () {
+            expect(result.pages).toBe(2);
+            expect(result.total).toBe(4);
+            expect(calls).toBe(2);
+        });
+    });
+
+    describe("with tracking", function () {
+
+        var result;
+
+        function source(idx) {
+            if (idx < 3) {
+                return [idx, promise.resolve('p' + idx)];
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.page(source, {track: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve with all the data", function () {
+            expect(result).toEqual([0, 'p0', 1, 'p1', 2, 'p2']);
+            expect(typeof result.duration).toBe('number');
+        });
+    });
+
     describe("this context", function () {
         var ctx, context = {};
 
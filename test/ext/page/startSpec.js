@@ -0,0 +1,106 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+describe("Page.start - negative", function () {
+
+    describe("cancelled", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                if (idx === 1) {
+                    setTimeout(function () {
+                        ctl.cancel('stop');
+                    }, 5);
+                    return promise.delay(50);
+                }
+                return [idx];
+            }
+
+            var ctl = spex.page.start(source);
+            ctl.promise
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject for the current page", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'stop',
+                source: [0]
+            });
+            expect(r.getError()).toBe('stop');
+        });
+    });
+
+});
+
+describe("Page.start - positive", function () {
+
+    describe("paused and resumed", function () {
+
+        var result, calls = [], countWhilePaused;
+        beforeEach(function (done) {
+            function source(idx, data) {
+                calls.push([idx, data]);
+                return idx < 3 ? [idx] : undefined;
+            }
+
+            function dest(idx) {
+                if (idx === 1) {
+                    ctl.pause();
+                    setTimeout(function () {
+                        countWhilePaused = calls.length;
+                        ctl.resume();
+                    }, 20);
+                }
+            }
+
+            var ctl = spex.page.start(source, dest);
+            ctl.promise
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must continue with the next page", function () {
+            expect(countWhilePaused).toBe(2);
+            expect(result.pages).toBe(3);
+            expect(result.total).toBe(3);
+            expect(calls).toEqual([[0, undefined], [1, [0]], [2, [1]], [3, [2]]]);
+        });
+    });
+
+    describe("with a user option named control", function () {
+
+        var started, direct, control = {};
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx < 2 ? [idx] : undefined;
+            }
+
+            spex.page.start(source, {control: 5}).promise
+                .then(function (data) {
+                    started = data;
+                    return spex.page(source, {control: control});
+                })
+                .then(function (data) {
+                    direct = data;
+                    done();
+                });
+        });
+
+        it("must not use or change it", function () {
+            expect(started.pages).toBe(2);
+            expect(direct.pages).toBe(2);
+            expect(control).toEqual({});
+        });
+    });
+
+});
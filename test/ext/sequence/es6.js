@@ -32,3 +32,52 @@ describe("Sequence callbacks generators", function () {
         expect(context.data).toBe('src');
     });
 });
+
+describe("Sequence of a generator object", function () {
+    var result, closed;
+
+    function * values() {
+        try {
+            yield 'one';
+            yield promise.resolve('two');
+            yield 'three';
+        } finally {
+            closed = true;
+        }
+    }
+
+    beforeEach(function (done) {
+        spex.sequence(values(), {track: true, limit: 2})
+            .then(function (data) {
+                result = data;
+                done();
+            });
+    });
+    it("must resolve the values, and close the iteration", function () {
+        expect(result).toEqual(['one', 'two']);
+        expect(closed).toBe(true);
+    });
+});
+
+describe("Sequence of a failing generator object with retries", function () {
+    var r;
+
+    function * values() {
+        yield 1;
+        yield 2;
+        throw new Error('boom');
+    }
+
+    beforeEach(function (done) {
+        spex.sequence(values(), {track: true, retry: {retries: 2, minDelay: 1}})
+            .catch(function (reason) {
+                r = reason;
+                done();
+            });
+    });
+    it("must reject with the iteration error", function () {
+        expect(r.index).toBe(2);
+        expect(r.error.message).toBe('boom');
+        expect(r.data).toEqual([1, 2]);
+    });
+});
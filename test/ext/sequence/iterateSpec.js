@@ -0,0 +1,153 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+// consumes the iterator, calling the handler for each item;
+function drain(iterator, handler) {
+    return iterator.next()
+        .then(function (r) {
+            if (!r.done) {
+                return promise.resolve(handler(r.value))
+                    .then(function () {
+                        return drain(iterator, handler);
+                    });
+            }
+        });
+}
+
+describe("Sequence.iterate - negative", function () {
+
+    describe("with invalid parameters", function () {
+        it("must detect invalid source", function () {
+            expect(function () {
+                spex.sequence.iterate();
+            }).toThrow("Invalid sequence source.");
+        });
+    });
+
+    describe("source error", function () {
+
+        var r, items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                if (idx === 2) {
+                    throw 'source error';
+                }
+                return idx;
+            }
+
+            drain(spex.sequence.iterate(source), function (item) {
+                items.push(item);
+            })
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject the next item", function () {
+            expect(items).toEqual([0, 1]);
+            expect(r).toEqual({
+                index: 2,
+                error: 'source error',
+                source: 1
+            });
+        });
+    });
+
+});
+
+describe("Sequence.iterate - positive", function () {
+
+    describe("with a limit", function () {
+
+        var items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                return promise.resolve('val-' + idx);
+            }
+
+            drain(spex.sequence.iterate(source, {limit: 3}), function (item) {
+                items.push(item);
+            })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must yield all the data", function () {
+            expect(items).toEqual(['val-0', 'val-1', 'val-2']);
+        });
+    });
+
+    describe("driven by the consumer", function () {
+
+        var calls = [], items = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                calls.push(idx);
+                return idx < 5 ? idx : undefined;
+            }
+
+            var it = spex.sequence.iterate(source);
+            it.next()
+                .then(function (r) {
+                    items.push(r.value);
+                    return promise.delay(10);
+                })
+                .then(function () {
+                    items.push(calls.slice());
+                    return it.next();
+                })
+                .then(function (r) {
+                    items.push(r.value);
+                    return it.return();
+                })
+                .then(function (r) {
+                    items.push(r.done);
+                    return it.next();
+                })
+                .then(function (r) {
+                    items.push(r.done);
+                    return promise.delay(10);
+                })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must request values only when asked, and stop on return", function () {
+            expect(items).toEqual([0, [0], 1, true, true]);
+            expect(calls).toEqual([0, 1]);
+        });
+    });
+
+    describe("with concurrent requests", function () {
+
+        var items;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx < 2 ? promise.resolve(idx) : undefined;
+            }
+
+            var it = spex.sequence.iterate(source);
+            promise.all([it.next(), it.next(), it.next(), it.next()])
+                .then(function (data) {
+                    items = data;
+                    done();
+                });
+        });
+
+        it("must serve them in order", function () {
+            expect(items).toEqual([
+                {value: 0, done: false},
+                {value: 1, done: false},
+                {value: undefined, done: true},
+                {value: undefined, done: true}
+            ]);
+        });
+    });
+
+});
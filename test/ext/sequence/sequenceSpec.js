@@ -11,6 +11,9 @@ describe("Sequence - negative", function () {
             expect(function () {
                 spex.sequence();
             }).toThrow("Invalid sequence source.");
+            expect(function () {
+                spex.sequence(123);
+            }).toThrow("Invalid sequence source.");
         });
     });
 
@@ -119,6 +122,412 @@ describe("Sequence - negative", function () {
         })
     });
 
+    describe("source retries exhausted", function () {
+
+        var r, attempts = [];
+        beforeEach(function (done) {
+            function source(idx, data, delay, attempt) {
+                if (idx) {
+                    attempts.push(attempt);
+                    throw 'fail-' + attempt;
+                }
+                return 'first';
+            }
+
+            spex.sequence(source, {retry: {retries: 2, minDelay: 1}})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with all errors", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'fail-3',
+                source: 'first',
+                errors: ['fail-1', 'fail-2', 'fail-3']
+            });
+            expect(attempts).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe("destination retry declined", function () {
+
+        var r, checks = [];
+        beforeEach(function (done) {
+            function source() {
+                return 123;
+            }
+
+            function dest() {
+                return promise.reject('dest error');
+            }
+
+            function shouldRetry(err, index, attempt) {
+                checks.push([err, index, attempt]);
+                if (attempt > 1) {
+                    throw 'declined';
+                }
+                return true;
+            }
+
+            spex.sequence(source, {dest: dest, retry: {retries: 5, minDelay: 1, shouldRetry: shouldRetry}})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with the error thrown", function () {
+            expect(r).toEqual({
+                index: 0,
+                error: 'declined',
+                dest: 123,
+                errors: ['dest error', 'dest error']
+            });
+            expect(checks).toEqual([['dest error', 0, 1], ['dest error', 0, 2]]);
+        });
+    });
+
+    describe("source reject with concurrency", function () {
+
+        var r, delivered = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                switch (idx) {
+                    case 0:
+                        return promise.delay(20).then(function () {
+                            return 'first';
+                        });
+                    case 1:
+                        return promise.reject('second');
+                    case 2:
+                        return promise.reject('third');
+                    default:
+                        return 'other';
+                }
+            }
+
+            function dest(idx, data) {
+                delivered.push(data);
+            }
+
+            spex.sequence(source, {dest: dest, concurrency: 3})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject in the index order", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'second',
+                source: undefined
+            });
+            expect(delivered).toEqual(['first']);
+        });
+    });
+
+    describe("checkpoint error", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx;
+            }
+
+            function checkpoint(state) {
+                if (state.index === 1) {
+                    throw 'checkpoint failed';
+                }
+            }
+
+            spex.sequence(source, {checkpoint: checkpoint})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject as for dest", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'checkpoint failed',
+                dest: 1
+            });
+        });
+    });
+
+    describe("reducer error", function () {
+
+        var r, delivered = [];
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx;
+            }
+
+            function dest(idx, data) {
+                delivered.push(data);
+            }
+
+            function reduce(acc, data) {
+                if (data === 2) {
+                    throw 'reduce failed';
+                }
+                return acc;
+            }
+
+            spex.sequence(source, {dest: dest, reduce: reduce})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject as for dest", function () {
+            expect(r).toEqual({
+                index: 2,
+                error: 'reduce failed',
+                dest: 2
+            });
+            expect(delivered).toEqual([0, 1]);
+        });
+    });
+
+    describe("with tracking", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx;
+            }
+
+            function dest(idx) {
+                if (idx === 3) {
+                    throw 'dest error';
+                }
+            }
+
+            spex.sequence(source, {dest: dest, track: true})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must attach the data collected so far", function () {
+            expect(r).toEqual({
+                index: 3,
+                error: 'dest error',
+                dest: 3
+            });
+            expect(r.data).toEqual([0, 1, 2]);
+            expect(r.total).toBe(3);
+            expect(typeof r.duration).toBe('number');
+        });
+    });
+
+    describe("resumed without tracking", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                if (idx === 7) {
+                    throw 'source error';
+                }
+                return idx;
+            }
+
+            spex.sequence(source, {startIndex: 5})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must attach the total only", function () {
+            expect(r.index).toBe(7);
+            expect('data' in r).toBe(false);
+            expect(r.total).toBe(7);
+        });
+    });
+
+    describe("async iterator reject", function () {
+
+        var r, step = 0;
+        beforeEach(function (done) {
+            var iterator = {
+                next: function () {
+                    if (step++ < 2) {
+                        return promise.resolve({value: step, done: false});
+                    }
+                    return promise.reject('iteration error');
+                }
+            };
+
+            spex.sequence(iterator)
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject as for source", function () {
+            expect(r).toEqual({
+                index: 2,
+                error: 'iteration error',
+                source: 2
+            });
+        });
+    });
+
+    describe("iterator error with retries", function () {
+
+        var r, step = 0, failed;
+        beforeEach(function (done) {
+            var iterator = {
+                next: function () {
+                    step++;
+                    if (step === 2 && !failed) {
+                        failed = true;
+                        throw 'iteration error';
+                    }
+                    return {value: step < 5 ? step : undefined, done: step >= 5};
+                }
+            };
+
+            spex.sequence(iterator, {track: true, retry: {retries: 2, minDelay: 1}})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject without retrying", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'iteration error',
+                source: 1,
+                errors: ['iteration error']
+            });
+            expect(r.data).toEqual([1]);
+            expect(step).toBe(2);
+        });
+    });
+
+    describe("source step timeout", function () {
+
+        var r, calls = 0;
+        beforeEach(function (done) {
+            function source(idx) {
+                calls++;
+                if (idx === 1) {
+                    return promise.delay(100);
+                }
+                return idx;
+            }
+
+            spex.sequence(source, {stepTimeout: 10})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with a TimeoutError", function () {
+            expect(r.index).toBe(1);
+            expect(r.source).toBe(0);
+            expect(r.error instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Source request timed out.");
+            expect(r.error.index).toBe(1);
+            expect(calls).toBe(2);
+        });
+    });
+
+    describe("dest step timeout", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx < 3 ? idx : undefined;
+            }
+
+            function dest(idx) {
+                return promise.delay(idx === 1 ? 100 : 0);
+            }
+
+            spex.sequence(source, {dest: dest, stepTimeout: 10})
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with a TimeoutError", function () {
+            expect(r.index).toBe(1);
+            expect(r.dest).toBe(1);
+            expect(r.error instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Destination request timed out.");
+        });
+    });
+
+    describe("step timeout with retries", function () {
+
+        var result, attempts = [];
+        beforeEach(function (done) {
+            function source(idx, data, delay, attempt) {
+                attempts.push([idx, attempt]);
+                if (idx === 1 && attempt === 1) {
+                    return promise.delay(100).then(function () {
+                        return 'late';
+                    });
+                }
+                return idx < 3 ? idx : undefined;
+            }
+
+            spex.sequence(source, {track: true, stepTimeout: 10, retry: {retries: 1, minDelay: 1}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must retry the timed out attempt", function () {
+            expect(result).toEqual([0, 1, 2]);
+            expect(attempts).toEqual([[0, 1], [1, 1], [1, 2], [2, 1], [3, 1]]);
+        });
+    });
+
+    describe("total timeout", function () {
+
+        var r, calls = 0;
+        beforeEach(function (done) {
+            function source(idx) {
+                calls++;
+                return promise.delay(10).then(function () {
+                    return idx;
+                });
+            }
+
+            spex.sequence(source, {timeout: 35})
+                .catch(function (reason) {
+                    r = reason;
+                    promise.delay(30).then(done);
+                });
+        });
+
+        it("must reject and stop requesting values", function () {
+            expect(r.index > 0).toBe(true);
+            expect(r.source).toBe(r.index - 1);
+            expect(r.error instanceof lib.main.TimeoutError).toBe(true);
+            expect(r.error.message).toBe("Sequence timed out.");
+            expect(r.error.index).toBe(r.index);
+            expect(calls).toBe(r.index + 1);
+        });
+    });
+
 });
 
 describe("Sequence - positive", function () {
@@ -179,6 +588,385 @@ describe("Sequence - positive", function () {
         });
     });
 
+    describe("with concurrency", function () {
+        var result, delivered = [], active = 0, maxActive = 0;
+
+        function source(idx) {
+            if (idx < 10) {
+                active++;
+                maxActive = Math.max(maxActive, active);
+                return promise.delay(10 - idx).then(function () {
+                    active--;
+                    return idx;
+                });
+            }
+        }
+
+        function dest(idx, data) {
+            delivered.push([idx, data]);
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {dest: dest, track: true, concurrency: 3})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must deliver in the index order", function () {
+            expect(result).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(delivered[9]).toEqual([9, 9]);
+            for (var i = 0; i < 10; i++) {
+                expect(delivered[i][0]).toBe(i);
+            }
+            expect(maxActive).toBe(3);
+        });
+    });
+
+    describe("with concurrency and a limit", function () {
+        var result, calls = 0;
+
+        function source(idx) {
+            calls++;
+            return promise.resolve(idx);
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {limit: 5, concurrency: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must not exceed the limit", function () {
+            expect(result.total).toBe(5);
+            expect(calls).toBe(5);
+        });
+    });
+
+    describe("with successful retries", function () {
+        var result, srcCalls = [], destCalls = [];
+
+        function source(idx, data, delay, attempt) {
+            srcCalls.push([idx, data, attempt]);
+            if (idx === 1 && attempt < 3) {
+                return promise.reject('source failed');
+            }
+            if (idx < 3) {
+                return idx;
+            }
+        }
+
+        function dest(idx, data, delay, attempt) {
+            destCalls.push([idx, attempt]);
+            if (idx === 2 && attempt === 1) {
+                throw 'dest failed';
+            }
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {dest: dest, track: true, retry: {retries: 3, minDelay: 1, jitter: 0.5}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+        it("must repeat the calls for the same index", function () {
+            expect(result).toEqual([0, 1, 2]);
+            expect(srcCalls).toEqual([
+                [0, undefined, 1], [1, 0, 1], [1, 0, 2], [1, 0, 3], [2, 1, 1], [3, 2, 1]
+            ]);
+            expect(destCalls).toEqual([[0, 1], [1, 1], [2, 1], [2, 2]]);
+        });
+    });
+
+    describe("with a rate limit", function () {
+
+        var result, waits = [], delays = [];
+
+        function source(idx, data, delay, attempt, wait) {
+            waits.push(wait);
+            delays.push(delay);
+            return idx;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {limit: 4, rate: {count: 2, interval: 40}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must hold back the calls beyond the limit", function () {
+            expect(result.total).toBe(4);
+            expect(waits[0]).toBe(0);
+            expect(waits[1]).toBe(0);
+            expect(waits[2] > 0).toBe(true);
+            expect(waits[3] > 0).toBe(true);
+            expect(delays[3] >= waits[3]).toBe(true);
+            expect(result.duration >= 30).toBe(true);
+        });
+    });
+
+    describe("with a rate per second", function () {
+
+        var waits = [];
+
+        function source(idx, data, delay, attempt, wait) {
+            waits.push(wait);
+            return idx < 2 ? idx : undefined;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {rate: {perSecond: 100}})
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must not hold back calls within the limit", function () {
+            expect(waits).toEqual([0, 0, 0]);
+        });
+    });
+
+    describe("with checkpoints", function () {
+
+        var result, checkpoints = [];
+
+        function source(idx) {
+            return idx < 3 ? 'val-' + idx : undefined;
+        }
+
+        function dest() {
+            return promise.resolve();
+        }
+
+        function checkpoint(state) {
+            checkpoints.push(state);
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {dest: dest, checkpoint: checkpoint})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must report each processed index", function () {
+            expect(result.total).toBe(3);
+            expect(checkpoints).toEqual([
+                {index: 0, data: 'val-0'}, {index: 1, data: 'val-1'}, {index: 2, data: 'val-2'}
+            ]);
+        });
+    });
+
+    describe("resuming from a checkpoint", function () {
+
+        var result, calls = [];
+
+        function source(idx, data) {
+            calls.push([idx, data]);
+            return idx < 5 ? idx : undefined;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {track: true, startIndex: 3, initialData: 2})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must continue from the start index", function () {
+            expect(result).toEqual([3, 4]);
+            expect(calls).toEqual([[3, 2], [4, 3], [5, 4]]);
+        });
+    });
+
+    describe("resuming with a limit", function () {
+
+        var result, resumed;
+
+        function source(idx) {
+            return idx;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {limit: 5, startIndex: 3})
+                .then(function (data) {
+                    result = data;
+                    return spex.sequence(source, {limit: 5, startIndex: 5});
+                })
+                .then(function (data) {
+                    resumed = data;
+                    done();
+                });
+        });
+
+        it("must count the resumed work in the total", function () {
+            expect(result.total).toBe(5);
+            expect(resumed.total).toBe(5);
+        });
+    });
+
+    describe("with a reducer", function () {
+
+        var result, delivered = [];
+
+        function source(idx) {
+            return idx < 4 ? idx + 1 : undefined;
+        }
+
+        function dest(idx, data) {
+            delivered.push(data);
+        }
+
+        function reduce(acc, data, idx) {
+            acc.sum += data;
+            acc.indexes.push(idx);
+            return acc;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {dest: dest, track: true, reduce: reduce, initial: {sum: 0, indexes: []}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve with the accumulator", function () {
+            expect(result).toEqual({sum: 10, indexes: [0, 1, 2, 3]});
+            expect(typeof result.duration).toBe('number');
+            expect(delivered).toEqual([1, 2, 3, 4]);
+        });
+    });
+
+    describe("with a frozen accumulator and an async source", function () {
+
+        var result;
+
+        function source(idx) {
+            return promise.resolve(idx < 3 ? idx + 1 : undefined);
+        }
+
+        function reduce(acc, data) {
+            return Object.freeze({sum: acc.sum + data});
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {reduce: reduce, initial: Object.freeze({sum: 0})})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve with the accumulator unchanged", function () {
+            expect(result.sum).toBe(6);
+            expect(result.duration).toBeUndefined();
+            expect(Object.isFrozen(result)).toBe(true);
+        });
+    });
+
+    describe("with an accumulator that has duration", function () {
+
+        var result;
+
+        function source(idx) {
+            return idx < 3 ? idx + 1 : undefined;
+        }
+
+        function reduce(acc, data) {
+            acc.sum += data;
+            return acc;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {reduce: reduce, initial: {sum: 0, duration: 'user'}})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must keep its own duration", function () {
+            expect(result).toEqual({sum: 6, duration: 'user'});
+        });
+    });
+
+    describe("with a reducer of a simple value", function () {
+
+        var result;
+
+        function source(idx) {
+            return idx < 4 ? idx + 1 : undefined;
+        }
+
+        beforeEach(function (done) {
+            spex.sequence(source, {
+                reduce: function (acc, data) {
+                    return acc + data;
+                },
+                initial: 0
+            })
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve with the value", function () {
+            expect(result).toBe(10);
+        });
+    });
+
+    describe("with an iterable source", function () {
+
+        var result;
+        beforeEach(function (done) {
+            spex.sequence(['a', promise.resolve('b'), 'c'], {track: true})
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must resolve all the values", function () {
+            expect(result).toEqual(['a', 'b', 'c']);
+        });
+    });
+
+    if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+        describe("with an async iterable source", function () {
+
+            var result, step = 0;
+            beforeEach(function (done) {
+                var iterator = {
+                    next: function () {
+                        step++;
+                        return promise.resolve(step < 4 ? {value: step, done: false} : {done: true});
+                    }
+                };
+                var iterable = {};
+                iterable[Symbol.asyncIterator] = function () {
+                    return iterator;
+                };
+                spex.sequence(iterable, {track: true})
+                    .then(function (data) {
+                        result = data;
+                        done();
+                    });
+            });
+
+            it("must end with the iteration", function () {
+                expect(result).toEqual([1, 2, 3]);
+            });
+        });
+    }
+
     describe("this context", function () {
         var ctx, context = {};
 
@@ -0,0 +1,161 @@
+'use strict';
+
+var lib = require('../../header');
+var promise = lib.promise;
+var spex = lib.main(promise);
+
+describe("Sequence.start - negative", function () {
+
+    describe("cancelled", function () {
+
+        var r, calls = 0;
+        beforeEach(function (done) {
+            function source(idx) {
+                calls++;
+                if (idx === 2) {
+                    ctl.cancel('stop');
+                }
+                return promise.delay(1).then(function () {
+                    return idx;
+                });
+            }
+
+            var ctl = spex.sequence.start(source);
+            ctl.promise
+                .catch(function (reason) {
+                    r = reason;
+                    return promise.delay(10);
+                })
+                .then(function () {
+                    done();
+                });
+        });
+
+        it("must reject at the index that is due next", function () {
+            expect(r).toEqual({
+                index: 2,
+                error: 'stop',
+                source: 1
+            });
+            expect(calls).toBe(3);
+        });
+    });
+
+    describe("cancelled during dest", function () {
+
+        var r;
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx;
+            }
+
+            function dest(idx) {
+                if (idx === 1) {
+                    setTimeout(function () {
+                        ctl.cancel('stop');
+                    }, 5);
+                    return promise.delay(50);
+                }
+            }
+
+            var ctl = spex.sequence.start(source, dest);
+            ctl.promise
+                .catch(function (reason) {
+                    r = reason;
+                    done();
+                });
+        });
+
+        it("must reject with the dest data", function () {
+            expect(r).toEqual({
+                index: 1,
+                error: 'stop',
+                dest: 1
+            });
+        });
+    });
+
+});
+
+describe("Sequence.start - positive", function () {
+
+    describe("paused and resumed", function () {
+
+        var result, calls = [], countWhilePaused;
+        beforeEach(function (done) {
+            function source(idx, data) {
+                calls.push([idx, data]);
+                if (idx === 2) {
+                    ctl.pause();
+                    setTimeout(function () {
+                        countWhilePaused = calls.length;
+                        ctl.resume();
+                    }, 20);
+                }
+                return promise.resolve(idx < 4 ? idx : undefined);
+            }
+
+            var ctl = spex.sequence.start(source, {track: true});
+            ctl.promise
+                .then(function (data) {
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must continue the index and data chain", function () {
+            expect(countWhilePaused).toBe(3);
+            expect(result).toEqual([0, 1, 2, 3]);
+            expect(calls).toEqual([[0, undefined], [1, 0], [2, 1], [3, 2], [4, 3]]);
+        });
+    });
+
+    describe("after finishing", function () {
+
+        var result;
+        beforeEach(function (done) {
+            var ctl = spex.sequence.start(function (idx) {
+                return idx < 2 ? idx : undefined;
+            });
+            ctl.promise
+                .then(function (data) {
+                    ctl.pause();
+                    ctl.resume();
+                    ctl.cancel();
+                    result = data;
+                    done();
+                });
+        });
+
+        it("must ignore the controller", function () {
+            expect(result.total).toBe(2);
+        });
+    });
+
+    describe("with a user option named control", function () {
+
+        var started, direct, control = {};
+        beforeEach(function (done) {
+            function source(idx) {
+                return idx < 2 ? idx : undefined;
+            }
+
+            spex.sequence.start(source, {control: 5}).promise
+                .then(function (data) {
+                    started = data;
+                    return spex.sequence(source, {control: control});
+                })
+                .then(function (data) {
+                    direct = data;
+                    done();
+                });
+        });
+
+        it("must not use or change it", function () {
+            expect(started.total).toBe(2);
+            expect(direct.total).toBe(2);
+            expect(control).toEqual({});
+        });
+    });
+
+});
@@ -65,10 +65,21 @@ describe("Main - positive", function () {
         });
         it("must be complete", function () {
             expect(PromiseAdapter instanceof Function).toBe(true);
+            expect(lib.main.TimeoutError instanceof Function).toBe(true);
             expect(inst && typeof inst === 'object').toBe(true);
             expect(inst.batch instanceof Function).toBe(true);
+            expect(inst.batch.props instanceof Function).toBe(true);
+            expect(inst.batch.settle instanceof Function).toBe(true);
+            expect(inst.batch.each instanceof Function).toBe(true);
+            expect(inst.batch.any instanceof Function).toBe(true);
+            expect(inst.batch.some instanceof Function).toBe(true);
+            expect(inst.batch.majority instanceof Function).toBe(true);
             expect(inst.page instanceof Function).toBe(true);
+            expect(inst.page.start instanceof Function).toBe(true);
+            expect(inst.page.iterate instanceof Function).toBe(true);
             expect(inst.sequence instanceof Function).toBe(true);
+            expect(inst.sequence.start instanceof Function).toBe(true);
+            expect(inst.sequence.iterate instanceof Function).toBe(true);
             expect(inst.stream && typeof inst.stream === 'object').toBe(true);
             expect(inst.stream.read instanceof Function).toBe(true);
             expect(inst.$p instanceof Function).toBe(true);
@@ -107,4 +118,18 @@ describe("Main - positive", function () {
         });
     });
 
+    describe("constructing timeout error", function () {
+        it("must be successful with and without new", function () {
+            var TimeoutError = lib.main.TimeoutError;
+            var e1 = new TimeoutError('msg', 1, 2), e2 = TimeoutError('msg');
+            expect(e1 instanceof TimeoutError).toBe(true);
+            expect(e1 instanceof Error).toBe(true);
+            expect(e1.message).toBe('msg');
+            expect(e1.index).toBe(1);
+            expect(e1.duration).toBe(2);
+            expect(e2 instanceof TimeoutError).toBe(true);
+            expect(typeof e1.stack).toBe('string');
+        });
+    });
+
 });